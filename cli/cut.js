@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// 매니페스트(CSV / JSON) 또는 프로젝트(.wavseg.json) 대로 원본 WAV 를 잘라 출력 폴더에 저장 (브라우저 없이)
+// 잘라내기 / 후처리 / WAV 인코딩은 웹앱과 같은 src/lib 모듈 사용 -> 같은 설정이면 같은 오디오 바이트
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { decodeWav, parseWavHeader } from "../src/lib/wav.js";
+import { BIT_DEPTH_OPTIONS, DEFAULT_EXPORT_FORMAT, encodeSegment } from "../src/lib/exportFormat.js";
+import { DEFAULT_PROCESSING } from "../src/lib/processing.js";
+import { PROJECT_FORMAT, parseProject } from "../src/lib/project.js";
+import { parseAnnotationCSV } from "../src/lib/annotations.js";
+import { outputPath, segmentEnd } from "../src/lib/files.js";
+import { TOOL_NAME } from "../src/lib/wavMeta.js";
+
+const USAGE = `사용법: node cli/cut.js <manifest.csv | manifest.json | project.wavseg.json> -o <출력폴더> [옵션]
+
+  -o, --out <dir>          출력 폴더 (--dry-run 이 아니면 필수)
+  -s, --source-dir <dir>   원본 WAV 기준 폴더 (기본: 입력 파일이 있는 폴더)
+      --sample-rate <hz>   출력 샘플레이트 (0 = 원본)
+      --bit-depth <b>      16 | 24 | 32f
+      --channels <mode>    keep | mono | ch0 | ch1
+      --by-label           라벨별 하위 폴더
+      --flat               원본 폴더 구조 없이 저장
+      --collision <mode>   같은 이름이 있을 때 rename(기본) | skip | overwrite
+      --no-processing      프로젝트의 내보내기 처리(여백 / 정규화 / 페이드) 무시
+      --no-info            LIST/INFO 메타데이터 기록 안 함
+      --bext               BWF bext chunk 기록
+  -n, --dry-run            자르지 않고 잘못된 / 범위 밖 구간만 보고
+  -h, --help               도움말
+
+포맷 / 처리 설정은 프로젝트 파일의 설정을 쓰고, 옵션으로 준 값이 우선합니다.`;
+
+const COLLISIONS = ["rename", "skip", "overwrite"];
+const EPS = 1e-3;
+
+const fail = (msg) => {
+  console.error(msg);
+  process.exit(2);
+};
+
+// 입력 파일 -> { jobs: [{ source, start, end, label, where }], settings }
+function loadJobs(name, text) {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  if (!/^[[{]/.test(trimmed)) {
+    const jobs = parseAnnotationCSV(text).map((x) => ({ source: x.file, start: x.start, end: x.end, label: x.label, where: `${x.line}행` }));
+    return { jobs, settings: {} };
+  }
+  const data = JSON.parse(trimmed);
+  if (data?.format === PROJECT_FORMAT) {
+    const project = parseProject(trimmed);
+    const jobs = project.files.flatMap((e) =>
+      e.rows.map((r, i) => ({ source: e.path, start: r.start, end: segmentEnd(r), label: r.label || "", where: `${e.path} #${i + 1}` }))
+    );
+    return { jobs, settings: project.settings || {} };
+  }
+  if (!Array.isArray(data)) throw new Error(`${name}: 매니페스트 배열 또는 wavseg 프로젝트가 아닙니다.`);
+  const jobs = data.map((x, i) => ({
+    source: x.source ?? x.file ?? "",
+    start: Number(x.start_sec ?? x.start),
+    end: Number(x.end_sec ?? x.end),
+    label: x.label || "",
+    where: `#${i + 1}`,
+  }));
+  return { jobs, settings: {} };
+}
+
+const exists = (p) => fs.access(p).then(() => true, () => false);
+
+// 매니페스트의 원본 경로 -> 실제 파일. 경로 첫 부분(불러온 폴더 이름)이 기준 폴더 자신일 수도 있음
+async function resolveSource(source, sourceDir) {
+  const rel = source.replace(/\\/g, "/");
+  if (path.isAbsolute(rel)) return (await exists(rel)) ? rel : null;
+  const parts = rel.split("/").filter(Boolean);
+  const candidates = [path.join(sourceDir, ...parts)];
+  if (parts.length > 1) candidates.push(path.join(sourceDir, ...parts.slice(1)));
+  for (const c of candidates) if (await exists(c)) return c;
+  return null;
+}
+
+// 헤더만 읽어 길이 확인 (dry-run)
+async function readHeader(file) {
+  const fh = await fs.open(file, "r");
+  try {
+    const { size } = await fh.stat();
+    const buf = Buffer.alloc(Math.min(size, 65536));
+    await fh.read(buf, 0, buf.length, 0);
+    return parseWavHeader(new DataView(buf.buffer, buf.byteOffset, buf.length), size);
+  } finally {
+    await fh.close();
+  }
+}
+
+// 반환: 문제 메시지 (없으면 null)
+function checkJob(job, duration) {
+  if (!job.source) return "원본 경로가 비어 있습니다.";
+  if (!Number.isFinite(job.start) || !Number.isFinite(job.end)) return "시작 / 끝이 숫자가 아닙니다.";
+  if (job.start < 0 || job.end <= job.start) return `범위가 잘못되었습니다 (${job.start}~${job.end}).`;
+  if (duration != null && job.end > duration + EPS) return `음원 길이(${duration.toFixed(3)}초)를 벗어났습니다 (${job.start}~${job.end}).`;
+  return null;
+}
+
+// 출력 폴더 쓰기 (데스크톱 앱 main.cjs 의 writeOutput 과 같은 경로 검사 / 충돌 처리)
+async function writeFile(root, rel, data, collision) {
+  let target = path.resolve(root, ...rel.split("/").filter(Boolean));
+  if (!target.startsWith(path.resolve(root) + path.sep)) throw new Error(`출력 폴더 밖의 경로입니다: ${rel}`);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  let status = "written";
+  if (collision !== "overwrite" && (await exists(target))) {
+    if (collision === "skip") return { status: "skipped", path: rel };
+    const { dir, name, ext } = path.parse(target);
+    let n = 2;
+    while (await exists(path.join(dir, `${name} (${n})${ext}`))) n++;
+    target = path.join(dir, `${name} (${n})${ext}`);
+    status = "renamed";
+  }
+  await fs.writeFile(target, data);
+  return { status, path: path.relative(root, target).split(path.sep).join("/") };
+}
+
+async function main() {
+  const { values: opt, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o" },
+      "source-dir": { type: "string", short: "s" },
+      "sample-rate": { type: "string" },
+      "bit-depth": { type: "string" },
+      channels: { type: "string" },
+      "by-label": { type: "boolean" },
+      flat: { type: "boolean" },
+      collision: { type: "string", default: "rename" },
+      "no-processing": { type: "boolean" },
+      "no-info": { type: "boolean" },
+      bext: { type: "boolean" },
+      "dry-run": { type: "boolean", short: "n" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (opt.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) fail(USAGE);
+  if (!opt.out && !opt["dry-run"]) fail("출력 폴더(-o)를 지정하세요.");
+  if (!COLLISIONS.includes(opt.collision)) fail(`--collision 은 ${COLLISIONS.join(" | ")} 중 하나입니다.`);
+
+  const input = path.resolve(positionals[0]);
+  const { jobs, settings } = loadJobs(path.basename(input), await fs.readFile(input, "utf8"));
+  const sourceDir = path.resolve(opt["source-dir"] || path.dirname(input));
+
+  const fmt = { ...DEFAULT_EXPORT_FORMAT, ...settings.export };
+  if (opt["sample-rate"] != null) fmt.sampleRate = Number(opt["sample-rate"]);
+  if (opt["bit-depth"] != null) fmt.bitDepth = opt["bit-depth"] === "32f" ? "32f" : Number(opt["bit-depth"]);
+  if (opt.channels != null) fmt.channels = opt.channels;
+  if (opt["no-info"]) fmt.info = false;
+  if (opt.bext) fmt.bext = true;
+  if (!BIT_DEPTH_OPTIONS.includes(fmt.bitDepth)) fail(`--bit-depth 는 ${BIT_DEPTH_OPTIONS.join(" | ")} 중 하나입니다.`);
+  if (!Number.isInteger(fmt.sampleRate) || fmt.sampleRate < 0) fail("--sample-rate 가 잘못되었습니다.");
+  if (!/^(keep|mono|ch\d+)$/.test(fmt.channels)) fail("--channels 는 keep | mono | ch0 | ch1 ... 중 하나입니다.");
+  const proc = opt["no-processing"] ? DEFAULT_PROCESSING : { ...DEFAULT_PROCESSING, ...settings.processing };
+  const layout = { byLabel: !!opt["by-label"], bySource: !opt.flat };
+  const pkg = JSON.parse(await fs.readFile(new URL("../package.json", import.meta.url), "utf8"));
+  const tool = `${TOOL_NAME} ${pkg.version}`;
+
+  // 원본별로 묶어서 한 번씩만 읽기
+  const bySource = new Map();
+  jobs.forEach((j) => {
+    if (!bySource.has(j.source)) bySource.set(j.source, []);
+    bySource.get(j.source).push(j);
+  });
+
+  const problems = [];
+  const results = [];
+  for (const [source, list] of bySource) {
+    const file = source ? await resolveSource(source, sourceDir) : null;
+    let ab = null;
+    let duration = null;
+    let sourceError = file ? null : `원본을 찾을 수 없습니다: ${source || "(비어 있음)"}`;
+    if (file) {
+      try {
+        if (opt["dry-run"]) {
+          const info = await readHeader(file);
+          if (!info || info.dataOffset == null) throw new Error("WAV 파일이 아닙니다.");
+          duration = info.duration;
+        } else {
+          ab = decodeWav(await fs.readFile(file));
+          duration = ab.length / ab.sampleRate;
+        }
+      } catch (e) {
+        sourceError = `${source}: ${e.message || e}`;
+      }
+    }
+
+    for (const job of list) {
+      const problem = sourceError || checkJob(job, duration);
+      if (problem) {
+        problems.push(`${job.where}: ${problem}`);
+        continue;
+      }
+      if (opt["dry-run"]) continue;
+      const rel = outputPath({ name: path.basename(file), webkitRelativePath: source.replace(/\\/g, "/") }, job, layout);
+      const meta = { label: job.label, source, tool, exportedAt: new Date() };
+      try {
+        results.push(await writeFile(path.resolve(opt.out), rel, encodeSegment(ab, job.start, job.end, fmt, proc, meta), opt.collision));
+      } catch (e) {
+        problems.push(`${job.where}: ${e.message || e}`);
+      }
+    }
+  }
+
+  problems.forEach((p) => console.error(`  ${p}`));
+  const ok = jobs.length - problems.length;
+  if (opt["dry-run"]) {
+    console.log(`구간 ${jobs.length}개 중 정상 ${ok}개, 문제 ${problems.length}개 (원본 ${bySource.size}개)`);
+  } else {
+    const count = (s) => results.filter((x) => x.status === s).length;
+    console.log(
+      `저장 ${count("written") + count("renamed")}개 (이름 변경 ${count("renamed")}개), 건너뜀 ${count("skipped")}개, 문제 ${problems.length}개 -> ${path.resolve(opt.out)}`
+    );
+  }
+  if (problems.length) process.exitCode = 1;
+}
+
+main().catch((e) => fail(e.message || String(e)));
@@ -0,0 +1,289 @@
+const { app, BrowserWindow, Menu, dialog, ipcMain } = require('electron')
+const fs = require('fs/promises')
+const path = require('path')
+
+const RECENT_MAX = 10
+const PROJECT_FILTERS = [{ name: 'wavseg 프로젝트', extensions: ['json'] }]
+
+let win = null
+
+// 사용자가 대화상자(또는 최근 항목)로 고른 폴더 / 파일 아래만 읽고 쓸 수 있게
+const allowedRoots = new Set()
+const allow = (p) => allowedRoots.add(path.resolve(p))
+const isAllowed = (p) => {
+  const abs = path.resolve(p)
+  for (const root of allowedRoots) {
+    if (abs === root || abs.startsWith(root + path.sep)) return true
+  }
+  return false
+}
+const assertAllowed = (p) => {
+  if (!isAllowed(p)) throw new Error(`허용되지 않은 경로입니다: ${p}`)
+}
+
+// ---------- 최근 항목 (userData/recent.json) ----------
+// [{ kind: 'folder' | 'project', path, name, openedAt }]
+const recentFile = () => path.join(app.getPath('userData'), 'recent.json')
+
+async function loadRecent() {
+  try {
+    const list = JSON.parse(await fs.readFile(recentFile(), 'utf8'))
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+async function addRecent(kind, p) {
+  const list = (await loadRecent()).filter((x) => x.path !== p)
+  list.unshift({ kind, path: p, name: path.basename(p), openedAt: new Date().toISOString() })
+  await fs.writeFile(recentFile(), JSON.stringify(list.slice(0, RECENT_MAX), null, 2))
+  if (kind === 'project') app.addRecentDocument(p)
+  await buildMenu()
+}
+
+async function clearRecent() {
+  await fs.writeFile(recentFile(), '[]')
+  app.clearRecentDocuments()
+  await buildMenu()
+}
+
+// ---------- 폴더 스캔 ----------
+// 반환: { root, name, files: [{ path, rel, size, lastModified }] }
+// rel 은 웹의 webkitRelativePath 와 같은 형태 ("폴더명/하위/파일.wav")
+async function scanFolder(root, exts) {
+  const allowedExts = new Set((exts || []).map((x) => x.toLowerCase()))
+  const name = path.basename(root)
+  const files = []
+  const walk = async (dir, rel) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true })
+    entries.sort((a, b) => a.name.localeCompare(b.name))
+    for (const e of entries) {
+      if (e.name.startsWith('.')) continue // 숨김 파일 / 폴더
+      const abs = path.join(dir, e.name)
+      if (e.isDirectory()) {
+        await walk(abs, `${rel}/${e.name}`)
+      } else if (e.isFile()) {
+        const ext = path.extname(e.name).slice(1).toLowerCase()
+        if (allowedExts.size && !allowedExts.has(ext)) continue
+        const st = await fs.stat(abs)
+        files.push({ path: abs, rel: `${rel}/${e.name}`, size: st.size, lastModified: Math.floor(st.mtimeMs) })
+      }
+    }
+  }
+  await walk(root, name)
+  return { root, name, files }
+}
+
+async function readProject(p) {
+  return { path: p, name: path.basename(p), text: await fs.readFile(p, 'utf8') }
+}
+
+// ---------- 쓰기 (출력 폴더 기준 상대경로) ----------
+const exists = (p) => fs.access(p).then(() => true, () => false)
+
+// 반환: { status: 'written' | 'renamed' | 'skipped', path } (path 는 root 기준, '/' 구분)
+async function writeOutput(root, rel, data, collision = 'rename') {
+  assertAllowed(root)
+  let target = path.resolve(root, ...rel.split('/').filter(Boolean))
+  if (!target.startsWith(path.resolve(root) + path.sep)) throw new Error(`출력 폴더 밖의 경로입니다: ${rel}`)
+  await fs.mkdir(path.dirname(target), { recursive: true })
+
+  let status = 'written'
+  if (collision !== 'overwrite' && (await exists(target))) {
+    if (collision === 'skip') return { status: 'skipped', path: rel }
+    const { dir, name, ext } = path.parse(target)
+    let n = 2
+    while (await exists(path.join(dir, `${name} (${n})${ext}`))) n++
+    target = path.join(dir, `${name} (${n})${ext}`)
+    status = 'renamed'
+  }
+  await fs.writeFile(target, Buffer.from(data))
+  return { status, path: path.relative(root, target).split(path.sep).join('/') }
+}
+
+// ---------- IPC ----------
+function registerIpc() {
+  ipcMain.handle('folder:open', async (_e, exts) => {
+    const res = await dialog.showOpenDialog(win, { title: '음원 폴더 열기', properties: ['openDirectory'] })
+    if (res.canceled || !res.filePaths[0]) return null
+    const root = res.filePaths[0]
+    allow(root)
+    await addRecent('folder', root)
+    return scanFolder(root, exts)
+  })
+
+  ipcMain.handle('file:read', async (_e, p, start, end) => {
+    assertAllowed(p)
+    if (start == null) return fs.readFile(p)
+    const fh = await fs.open(p, 'r')
+    try {
+      const len = Math.max(0, end - start)
+      const buf = Buffer.alloc(len)
+      const { bytesRead } = await fh.read(buf, 0, len, start)
+      return buf.subarray(0, bytesRead)
+    } finally {
+      await fh.close()
+    }
+  })
+
+  ipcMain.handle('output:choose', async () => {
+    const res = await dialog.showOpenDialog(win, { title: '출력 폴더 선택', properties: ['openDirectory', 'createDirectory'] })
+    if (res.canceled || !res.filePaths[0]) return null
+    const root = res.filePaths[0]
+    allow(root)
+    return { path: root, name: path.basename(root) }
+  })
+
+  ipcMain.handle('file:write', (_e, root, rel, data, collision) => writeOutput(root, rel, data, collision))
+
+  ipcMain.handle('project:open', async () => {
+    const res = await dialog.showOpenDialog(win, { title: '프로젝트 열기', properties: ['openFile'], filters: PROJECT_FILTERS })
+    if (res.canceled || !res.filePaths[0]) return null
+    const p = res.filePaths[0]
+    await addRecent('project', p)
+    return readProject(p)
+  })
+
+  ipcMain.handle('project:save', async (_e, text, defaultName) => {
+    const res = await dialog.showSaveDialog(win, {
+      title: '프로젝트 저장',
+      defaultPath: defaultName || 'session.wavseg.json',
+      filters: PROJECT_FILTERS,
+    })
+    if (res.canceled || !res.filePath) return null
+    await fs.writeFile(res.filePath, text, 'utf8')
+    await addRecent('project', res.filePath)
+    return res.filePath
+  })
+
+  ipcMain.handle('recent:list', () => loadRecent())
+  ipcMain.handle('recent:clear', () => clearRecent())
+
+  // 최근 목록에 있는 항목만 다시 열 수 있음
+  ipcMain.handle('recent:open', async (_e, p, exts) => {
+    const item = (await loadRecent()).find((x) => x.path === p)
+    if (!item) throw new Error('최근 항목에 없는 경로입니다.')
+    if (!(await exists(p))) throw new Error(`찾을 수 없습니다: ${p}`)
+    await addRecent(item.kind, p)
+    if (item.kind === 'folder') {
+      allow(p)
+      return { kind: 'folder', ...(await scanFolder(p, exts)) }
+    }
+    return { kind: 'project', ...(await readProject(p)) }
+  })
+}
+
+// ---------- 메뉴 (렌더러로 동작 이름 전달) ----------
+const send = (action, arg) => () => win?.webContents.send('menu', action, arg)
+
+async function buildMenu() {
+  const recent = await loadRecent()
+  const isMac = process.platform === 'darwin'
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    {
+      label: '파일',
+      submenu: [
+        { label: '폴더 열기…', accelerator: 'CmdOrCtrl+O', click: send('openFolder') },
+        { label: '프로젝트 열기…', accelerator: 'CmdOrCtrl+Shift+O', click: send('openProject') },
+        { label: '프로젝트 저장…', click: send('saveProject') },
+        {
+          label: '최근 항목',
+          submenu: recent.length
+            ? [
+                ...recent.map((x) => ({
+                  label: `${x.kind === 'project' ? '📄' : '📁'} ${x.name}`,
+                  toolTip: x.path,
+                  click: send('openRecent', x.path),
+                })),
+                { type: 'separator' },
+                { label: '목록 지우기', click: () => clearRecent() },
+              ]
+            : [{ label: '(없음)', enabled: false }],
+        },
+        { type: 'separator' },
+        { label: '출력 폴더 선택…', click: send('chooseOutputDir') },
+        { type: 'separator' },
+        isMac ? { role: 'close' } : { role: 'quit', label: '종료' },
+      ],
+    },
+    // 되돌리기 / 붙여넣기 등은 입력칸 기본 동작 유지 (앱 되돌리기는 렌더러 단축키)
+    { label: '편집', submenu: [{ role: 'undo' }, { role: 'redo' }, { type: 'separator' }, { role: 'cut' }, { role: 'copy' }, { role: 'paste' }, { role: 'selectAll' }] },
+    {
+      label: '내보내기',
+      submenu: [
+        { label: '현재 파일 구간 모두 저장', click: send('saveAll') },
+        { label: '현재 파일 ZIP', click: send('exportZip', 'current') },
+        { label: '전체 ZIP', click: send('exportZip', 'all') },
+        { label: '현재 파일 전체 길이 + 구간 마커', click: send('exportMarked') },
+        { type: 'separator' },
+        { label: '전체 매니페스트 (CSV)', click: send('exportManifest', 'csv') },
+        { label: '전체 매니페스트 (JSON)', click: send('exportManifest', 'json') },
+        { type: 'separator' },
+        { label: '전체 라벨 (Audacity)', click: send('exportLabels', 'audacity') },
+        { label: '전체 라벨 (TextGrid)', click: send('exportLabels', 'textgrid') },
+        { label: '전체 라벨 (WebVTT)', click: send('exportLabels', 'vtt') },
+      ],
+    },
+    {
+      label: '작업',
+      submenu: [
+        { label: '작업완료 후 다음 파일', click: send('completeAndNext') },
+        { label: '현재 파일 건너뛰기', click: send('skipFile') },
+        { type: 'separator' },
+        { label: '이전 파일', click: send('prevFile') },
+        { label: '다음 파일', click: send('nextFile') },
+      ],
+    },
+    {
+      label: '보기',
+      submenu: [
+        { label: '확대', click: send('zoomIn') },
+        { label: '축소', click: send('zoomOut') },
+        { label: '전체 보기', click: send('zoomFit') },
+        { type: 'separator' },
+        { role: 'reload' },
+        { role: 'toggleDevTools' },
+        { role: 'togglefullscreen' },
+      ],
+    },
+    { label: '도움말', submenu: [{ label: '단축키', click: send('help') }] },
+  ]
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template))
+}
+
+function createWindow() {
+  win = new BrowserWindow({
+    width: 1200,
+    height: 800,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.cjs'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
+    },
+  })
+  win.on('closed', () => { win = null })
+
+  if (app.isPackaged) {
+    // 배포 모드 - 빌드된 index.html 불러오기
+    win.loadFile(path.join(__dirname, 'dist', 'index.html'))
+  } else {
+    // 개발 모드 - Vite dev 서버 접속
+    win.loadURL('http://localhost:5173')
+  }
+}
+
+app.whenReady().then(async () => {
+  registerIpc()
+  await buildMenu()
+  createWindow()
+  app.on('activate', () => {
+    if (BrowserWindow.getAllWindows().length === 0) createWindow()
+  })
+})
+
+app.on('window-all-closed', () => {
+  if (process.platform !== 'darwin') app.quit()
+})
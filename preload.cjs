@@ -0,0 +1,25 @@
+// 렌더러(React)에 노출하는 데스크톱 API - window.wavsegDesktop
+const { contextBridge, ipcRenderer } = require('electron')
+
+contextBridge.exposeInMainWorld('wavsegDesktop', {
+  version: 1,
+  // 폴더 선택 + 하위 폴더까지 스캔 -> { root, name, files: [{ path, rel, size, lastModified }] } | null
+  openFolder: (exts) => ipcRenderer.invoke('folder:open', exts),
+  // 파일 전체 또는 [start, end) 바이트 -> Uint8Array
+  readFile: (p, start, end) => ipcRenderer.invoke('file:read', p, start, end),
+  // 출력 폴더 선택 -> { path, name } | null
+  chooseOutputDir: () => ipcRenderer.invoke('output:choose'),
+  // 출력 폴더 기준 상대경로로 쓰기 -> { status, path }
+  writeFile: (root, rel, data, collision) => ipcRenderer.invoke('file:write', root, rel, data, collision),
+  openProject: () => ipcRenderer.invoke('project:open'),
+  saveProject: (text, defaultName) => ipcRenderer.invoke('project:save', text, defaultName),
+  listRecent: () => ipcRenderer.invoke('recent:list'),
+  openRecent: (p, exts) => ipcRenderer.invoke('recent:open', p, exts),
+  clearRecent: () => ipcRenderer.invoke('recent:clear'),
+  // 메뉴 클릭 -> cb(action, arg). 반환값으로 구독 해제
+  onMenu: (cb) => {
+    const handler = (_e, action, arg) => cb(action, arg)
+    ipcRenderer.on('menu', handler)
+    return () => ipcRenderer.removeListener('menu', handler)
+  },
+})
@@ -1,6 +1,52 @@
 import React, { useEffect, useRef, useState } from "react";
 import WaveSurfer from "wavesurfer.js";
 import RegionsPlugin from "wavesurfer.js/dist/plugins/regions.esm.js";
+import SpectrogramPlugin from "wavesurfer.js/dist/plugins/spectrogram.esm.js";
+import TimelinePlugin from "wavesurfer.js/dist/plugins/timeline.esm.js";
+import ZoomPlugin from "wavesurfer.js/dist/plugins/zoom.esm.js";
+import MinimapPlugin from "wavesurfer.js/dist/plugins/minimap.esm.js";
+import { bufferInfo, decodeWav, readWavInfo } from "./lib/wav.js";
+import { baseName, dirName, downloadBlob, fileKey, joinPath, outputPath, relPath, safeDir, safeName, segmentEnd } from "./lib/files.js";
+import { buildManifestEntries, manifestToCSV, manifestToJSON } from "./lib/manifest.js";
+import { createZip, uniquePath } from "./lib/zip.js";
+import { DEFAULT_EXPORT_FORMAT, cutSegment, renderSegment, resolveFormat } from "./lib/exportFormat.js";
+import { abortError, createEncoder, isAbort } from "./lib/encoder.js";
+import { computePeaks } from "./lib/peaks.js";
+import { TOOL_NAME } from "./lib/wavMeta.js";
+import { loadSetting, saveSetting } from "./lib/settings.js";
+import { DEFAULT_TAXONOMY, isLabelAllowed } from "./lib/taxonomy.js";
+import ExportSettingsPanel from "./components/ExportSettingsPanel.jsx";
+import TaxonomyPanel from "./components/TaxonomyPanel.jsx";
+import ShortcutHelp from "./components/ShortcutHelp.jsx";
+import ProjectReport from "./components/ProjectReport.jsx";
+import { buildProject, matchProject, parseProject } from "./lib/project.js";
+import { AUDIO_ACCEPT, unsupportedReason } from "./lib/formats.js";
+import { DEFAULT_VAD, detectEvents, proposeSegments } from "./lib/vad.js";
+import AutoProposePanel from "./components/AutoProposePanel.jsx";
+import SpectrogramPanel from "./components/SpectrogramPanel.jsx";
+import MinimapOverlay from "./components/MinimapOverlay.jsx";
+import ConstraintsPanel from "./components/ConstraintsPanel.jsx";
+import OutputDirPanel from "./components/OutputDirPanel.jsx";
+import { DEFAULT_OUTPUT, pickOutputDir, writeToDir } from "./lib/outputDir.js";
+import { AUDIO_EXTS, desktop, desktopFile, fileBlob } from "./lib/desktop.js";
+import { deleteRows, loadAllRows, saveRows } from "./lib/rowStore.js";
+import StorageManager from "./components/StorageManager.jsx";
+import ProcessingPanel from "./components/ProcessingPanel.jsx";
+import { DEFAULT_PROCESSING, isProcessingActive } from "./lib/processing.js";
+import PlaybackControls from "./components/PlaybackControls.jsx";
+import { DEFAULT_PLAYBACK, playWindow } from "./lib/playback.js";
+import { ANNOTATION_ACCEPT, LABEL_FORMATS, decodeText, findAnnotatedFile, intervalsToRows, labelFilePath, parseAnnotationFile, serializeLabels } from "./lib/annotations.js";
+import ImportReport from "./components/ImportReport.jsx";
+import { DEFAULT_CONSTRAINTS, validateConstraints } from "./lib/constraints.js";
+import { regionPalette } from "./lib/colors.js";
+import { SNAP_MODES, snapTime } from "./lib/snap.js";
+import { validateRows } from "./lib/validate.js";
+import ValidationDialog from "./components/ValidationDialog.jsx";
+import FileListToolbar from "./components/FileListToolbar.jsx";
+import { countStatuses, normalizeStatus, statusInfo } from "./lib/status.js";
+import { DEFAULT_SPECTROGRAM, computeFrequencies, resolveColorMap } from "./lib/spectrogram.js";
+import { createHistory, recordHistory, redoHistory, undoHistory } from "./lib/history.js";
+import { NUDGE_COARSE, NUDGE_FINE, REGION_JUMP_KEYS, defaultBindings, eventToCombo, findAction } from "./lib/shortcuts.js";
 
 // --- helpers ---
 const fmt = (s) => {
@@ -9,144 +55,106 @@ const fmt = (s) => {
   const sec = Math.floor(s % 60).toString().padStart(2, "0");
   return `${m}:${sec}`;
 };
-const LS_PREFIX = "wavseg:rows:";
-const loadRowsLS = (key) => {
-  try {
-    const s = localStorage.getItem(LS_PREFIX + key);
-    return s ? JSON.parse(s) : null;
-  } catch {
-    return null;
-  }
-};
-
-const saveRowsLS = (key, rows) => {
-  try {
-    localStorage.setItem(LS_PREFIX + key, JSON.stringify(rows));
-  } catch (e) {
-    // 용량 초과 등은 무시(필요 시 사용자 알림)
-    console.warn("localStorage save failed", e);
-  }
-};
-
-const deleteRowsLS = (key) => {
-  try {
-    localStorage.removeItem(LS_PREFIX + key);
-  } catch {}
-};
-
-const COLORS = [
-  "#22c55e55",
-  "#3b82f655",
-  "#ef444455",
-  "#eab30855",
-  "#a855f755",
-  "#06b6d455",
-  "#f9731655",
-];
-
-function baseName(name) {
-  const i = name.lastIndexOf(".");
-  return i > 0 ? name.slice(0, i) : name;
-}
-
-// WAV encoder (PCM16)
-function audioBufferToWav(ab) {
-  const numChannels = ab.numberOfChannels;
-  const sampleRate = ab.sampleRate;
-  const numFrames = ab.length;
-
-  // interleave
-  const interleaved = new Float32Array(numFrames * numChannels);
-  for (let ch = 0; ch < numChannels; ch++) {
-    const data = ab.getChannelData(ch);
-    for (let i = 0; i < numFrames; i++) {
-      interleaved[i * numChannels + ch] = data[i];
-    }
-  }
-
-  // convert to PCM16
-  const buffer = new ArrayBuffer(44 + interleaved.length * 2);
-  const view = new DataView(buffer);
-  const writeString = (offset, str) => {
-    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
-  };
-
-  // RIFF header
-  writeString(0, "RIFF");
-  view.setUint32(4, 36 + interleaved.length * 2, true);
-  writeString(8, "WAVE");
-
-  // fmt chunk
-  writeString(12, "fmt ");
-  view.setUint32(16, 16, true); // PCM chunk size
-  view.setUint16(20, 1, true); // PCM format
-  view.setUint16(22, numChannels, true);
-  view.setUint32(24, sampleRate, true);
-  const byteRate = sampleRate * numChannels * 2;
-  view.setUint32(28, byteRate, true);
-  view.setUint16(32, numChannels * 2, true); // block align
-  view.setUint16(34, 16, true); // bits per sample
-
-  // data
-  writeString(36, "data");
-  view.setUint32(40, interleaved.length * 2, true);
-
-  let offset = 44;
-  for (let i = 0; i < interleaved.length; i++, offset += 2) {
-    let s = Math.max(-1, Math.min(1, interleaved[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
-  }
 
-  return new Blob([view], { type: "audio/wav" });
-}
+const DEFAULT_PX_PER_SEC = 50;
+const MIN_PX_PER_SEC = 1;
+const MAX_PX_PER_SEC = 2000;
+// 내보낸 WAV 의 메타데이터에 기록하는 도구 이름 / 버전 (package.json)
+const TOOL_VERSION = `${TOOL_NAME} ${__APP_VERSION__}`;
 
-function sliceBuffer(ctx, ab, startSec, endSec) {
-  const start = Math.max(0, Math.floor(startSec * ab.sampleRate));
-  const end = Math.min(Math.floor(endSec * ab.sampleRate), ab.length);
-  const frames = Math.max(0, end - start);
-  const out = ctx.createBuffer(ab.numberOfChannels, frames, ab.sampleRate);
-  for (let ch = 0; ch < ab.numberOfChannels; ch++) {
-    const src = ab.getChannelData(ch).subarray(start, end);
-    out.copyToChannel(src, ch, 0);
-  }
-  return out;
-}
 
 export default function App() {
   const containerRef = useRef(null);
+  const minimapRef = useRef(null);
   const wsRef = useRef(null);
   const regionsRef = useRef(null);
   const acRef = useRef(null);
   const fileInputRef = useRef(null);
   const folderInputRef = useRef(null);
+  const projectInputRef = useRef(null);
+  const annotationInputRef = useRef(null);
+  const [importReport, setImportReport] = useState(null);
+  const pendingProjectRef = useRef([]); // 아직 파일과 연결 안 된 프로젝트 항목
 
   const [files, setFiles] = useState([]); // File[]
   const [current, setCurrent] = useState(0);
   const [audioBuffer, setAudioBuffer] = useState(null);
   const [duration, setDuration] = useState(0);
   const [rows, setRows] = useState([]); // {id,label,maxLen,start,end,color}
-
-  const DEFAULT_MAX_LEN = 1.0;
-  const MIN_LEN = 0.5;   // ★ 최소 0.5초
-  const MAX_LEN = 5.0;
-  const MAX_REGIONS = 7; // ★ 최대 구간 수
+  const [zipByLabel, setZipByLabel] = useState(false); // ZIP 안에서 라벨별 하위 폴더
+  const [task, setTask] = useState(null); // 진행 중 내보내기 { label, done, total }
+  const taskRef = useRef(null); // { cancelled }
+  const encoderRef = useRef(null); // 인코딩 worker (처음 내보낼 때 생성)
+  const [output, setOutput] = useState(() => loadSetting("output", DEFAULT_OUTPUT));
+  const outDirRef = useRef(null); // 선택한 출력 폴더 핸들 (세션 동안만)
+  const [outDirName, setOutDirName] = useState("");
+  const [recent, setRecent] = useState([]); // 데스크톱 앱 최근 폴더 / 프로젝트
+  const [exportFmt, setExportFmt] = useState(() => loadSetting("export", DEFAULT_EXPORT_FORMAT));
+  const [processing, setProcessing] = useState(() => loadSetting("processing", DEFAULT_PROCESSING));
+  const previewRef = useRef(null); // 처리 결과 미리듣기 중인 AudioBufferSourceNode
+  const [playback, setPlayback] = useState(() => loadSetting("playback", DEFAULT_PLAYBACK));
+  const playbackRef = useRef(playback); // timeupdate 핸들러(초기 클로저)용
+  const regionPlayRef = useRef(null); // 구간 재생 중이면 { rowId, start, end }
+  const [playingRowId, setPlayingRowId] = useState(null); // 재생 위치가 들어 있는 구간 (목록 강조)
+  const [taxonomy, setTaxonomy] = useState(() => loadSetting("taxonomy", DEFAULT_TAXONOMY));
+  const [bindings, setBindings] = useState(() => loadSetting("shortcuts", defaultBindings()));
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [selectedId, setSelectedId] = useState(null); // 단축키 대상 구간
+  // 상대경로 -> "progress" | "done" | "skipped" (없으면 미작업). 예전 completed 목록은 완료로 이전
+  const [fileStatus, setFileStatus] = useState(() =>
+    loadSetting("fileStatus", Object.fromEntries(loadSetting("completed", []).map((p) => [p, "done"])))
+  );
+  const [listFilter, setListFilter] = useState("all");
+  const [listQuery, setListQuery] = useState("");
+  const currentPathRef = useRef("");
+  const [projectReport, setProjectReport] = useState(null);
+  const [skipped, setSkipped] = useState([]); // 불러오기에서 건너뛴 파일 [{ path, reason }]
+  const [fileErrors, setFileErrors] = useState({}); // fileKey -> 디코딩 오류 메시지
+  const [vad, setVad] = useState(() => loadSetting("vad", DEFAULT_VAD));
+  const [spectro, setSpectro] = useState(() => loadSetting("spectrogram", DEFAULT_SPECTROGRAM));
+  const [pxPerSec, setPxPerSec] = useState(DEFAULT_PX_PER_SEC);
+  const [view, setView] = useState({ start: 0, end: 0 }); // 화면에 보이는 시간 범위
+  const [snapMode, setSnapMode] = useState(() => loadSetting("snap", "none"));
+  const snapRef = useRef(snapMode);
+  const audioBufferRef = useRef(null);
+  const [validation, setValidation] = useState(null); // { issues, onProceed } - 저장 전 검사 대화상자
+  const [showIssues, setShowIssues] = useState(false); // 검사 실패 후 문제 구간 강조
+
+  const [constraints, setConstraints] = useState(() => loadSetting("constraints", DEFAULT_CONSTRAINTS));
+  const {
+    defaultLen: DEFAULT_MAX_LEN,
+    minLen: MIN_LEN,     // ★ 최소 길이
+    maxLen: MAX_LEN,
+    maxRegions: MAX_REGIONS, // ★ 최대 구간 수
+  } = constraints;
+  const constraintsRef = useRef(constraints); // ready/드래그 핸들러(초기 클로저)에서 최신 제한값 접근용
+  const palette = () => regionPalette(constraintsRef.current.maxRegions);
+  const loadSeqRef = useRef(0); // 빠르게 파일을 바꿀 때 이전 디코딩 결과 무시용
   const seedOnReadyRef = useRef(false);     // 이번 로드에서 기본 구간 1개 심기
   const rowsShadowRef = useRef(rows);       // region 드래그시 최신 rows 접근용
   const isRestoringRef = useRef(false); // ★ 복원 중 캐시 저장 막기
   const pendingRowsRef = useRef(null); // ready 때 그려줄 대기 rows
-// 컴포넌트 상단
-const fileKey = (f) => (f ? `${f.webkitRelativePath || f.name}|${f.size}|${f.lastModified}` : "");
-const fileRowsRef = useRef(new Map()); // key -> rows[]
+const fileRowsRef = useRef(new Map()); // key -> rows[] (IndexedDB 내용을 시작할 때 전부 읽어 둠)
+const storeReadyRef = useRef(null); // IndexedDB 이전 / 읽기 완료 promise
+const [storageError, setStorageError] = useState(""); // 구간 저장 실패 메시지 (화면 상단 경고)
+const [showStorage, setShowStorage] = useState(false);
+const fileInfoRef = useRef(new Map()); // key -> { sampleRate, channels, frames, duration }
+const writtenRef = useRef(new Map()); // rowId -> 실제로 저장한 상대 경로 (매니페스트용)
+const historyRef = useRef(new Map()); // key -> undo/redo history
+const currentKeyRef = useRef(""); // 드래그 핸들러(초기 클로저)에서 현재 파일 키 접근용
+const [, setHistoryTick] = useState(0); // undo/redo 버튼 갱신용
 const pickColor = (rowsArr) => {
   const used = new Set((rowsArr || []).map(r => r.color));
-  return COLORS.find(c => !used.has(c)) || COLORS[0];
+  const colors = palette();
+  return colors.find(c => !used.has(c)) || colors[0];
 };
 
 const ensureUniqueColors = (rowsArr) => {
   const used = new Set();
+  const colors = regionPalette(Math.max(constraintsRef.current.maxRegions, rowsArr.length));
   return rowsArr.map(r => {
-    let c = (r.color && COLORS.includes(r.color) && !used.has(r.color)) ? r.color : null;
-    if (!c) c = COLORS.find(x => !used.has(x)) || COLORS[0];
+    let c = (r.color && colors.includes(r.color) && !used.has(r.color)) ? r.color : null;
+    if (!c) c = colors.find(x => !used.has(x)) || colors[0];
     used.add(c);
     return { ...r, color: c };
   });
@@ -169,14 +177,84 @@ const updateRegionBadges = () => {
 };
 useEffect(() => { updateRegionBadges(); }, [rows]);
 
+// 검사에서 걸린 구간: 파형 위 빨간 테두리 + 목록 표시 (고치면 자동으로 사라짐)
+const liveIssues = showIssues ? validateRows(rows, { duration, taxonomy, constraints }) : [];
+const issueIdsKey = [...new Set(liveIssues.map((x) => x.rowId))].join(",");
+useEffect(() => {
+  const ids = new Set(issueIdsKey ? issueIdsKey.split(",") : []);
+  (regionsRef.current?.getRegions?.() || []).forEach((reg) => {
+    if (reg.element) reg.element.style.outline = ids.has(reg.id) ? "2px solid #dc2626" : "";
+  });
+  if (showIssues && !ids.size) setShowIssues(false);
+}, [issueIdsKey, showIssues, rows]);
+
+// IndexedDB 에 쓰기 - 실패하면(용량 초과 등) 화면에 경고
+const storeRows = (key, next) => {
+  saveRows(key, next).then(
+    () => setStorageError(""),
+    (e) => {
+      console.error("rows save failed", e);
+      setStorageError(e?.name === "QuotaExceededError" ? "브라우저 저장 공간이 부족합니다." : e?.message || String(e));
+    }
+  );
+};
+
 const persistCurrent = () => {
   const cur = files[current];
   if (!cur) return;
   const key = fileKey(cur);
   fileRowsRef.current.set(key, rows);
-  saveRowsLS(key, rows);
+  storeRows(key, rows);
 };
 
+// 저장소 관리에서 지운 항목은 메모리 캐시 / undo 기록도 함께 제거
+const purgeStored = async (keys) => {
+  await deleteRows(keys);
+  keys.forEach((k) => {
+    fileRowsRef.current.delete(k);
+    historyRef.current.delete(k);
+  });
+};
+
+// 현재 파일의 undo 기록 (refs 만 사용 - 드래그 핸들러에서도 호출)
+const historyFor = (key) => {
+  if (!historyRef.current.has(key)) historyRef.current.set(key, createHistory());
+  return historyRef.current.get(key);
+};
+
+const pushHistory = (tag) => {
+  const key = currentKeyRef.current;
+  if (!key || isRestoringRef.current) return;
+  recordHistory(historyFor(key), rowsShadowRef.current, tag);
+  setHistoryTick((t) => t + 1);
+  // 처음 손댄 파일은 진행 중으로
+  const path = currentPathRef.current;
+  setFileStatus((prev) => (prev[path] ? prev : { ...prev, [path]: "progress" }));
+};
+
+// undo/redo 결과를 region + rows + 캐시에 한 번에 반영
+const applyHistory = (step) => {
+  const key = currentKeyRef.current;
+  if (!key) return;
+  const snapshot = step(historyFor(key), rowsShadowRef.current);
+  if (!snapshot) return;
+  replaceRows(snapshot);
+  setHistoryTick((t) => t + 1);
+};
+
+// rows 를 통째로 바꾸고 region + 캐시까지 반영 (렌더 중엔 자동 저장이 꺼져 있으므로 직접 저장)
+const replaceRows = (next) => {
+  renderRowsToRegions(next);
+  rowsShadowRef.current = next;
+  const key = currentKeyRef.current;
+  if (!key) return;
+  fileRowsRef.current.set(key, next);
+  storeRows(key, next);
+};
+
+const undo = () => applyHistory(undoHistory);
+const redo = () => applyHistory(redoHistory);
+
   // 파일 상단 (컴포넌트 안)
   const clearAllRegions = () => {
   const regions = regionsRef.current;
@@ -192,10 +270,58 @@ const persistCurrent = () => {
     if (!cur) return;
     const key = fileKey(cur);
     fileRowsRef.current.set(key, rows);
-    saveRowsLS(key, rows); 
+    storeRows(key, rows);
 }, [rows, current, files]);
 
+  // 시작할 때 한 번: localStorage 의 예전 구간을 IndexedDB 로 옮기고 전부 메모리에 읽어 둠
+  useEffect(() => {
+    storeReadyRef.current = loadAllRows()
+      .then(({ rows: stored }) => {
+        stored.forEach((v, k) => { if (!fileRowsRef.current.has(k)) fileRowsRef.current.set(k, v); });
+      })
+      .catch((e) => {
+        console.error("rows store unavailable", e);
+        setStorageError(`저장된 구간을 읽지 못했습니다: ${e?.message || e}`);
+      });
+  }, []);
+
   useEffect(() => { rowsShadowRef.current = rows; }, [rows]);
+  useEffect(() => {
+    currentKeyRef.current = fileKey(files[current]);
+    currentPathRef.current = relPath(files[current]);
+  }, [files, current]);
+  useEffect(() => { saveSetting("export", exportFmt); }, [exportFmt]);
+  useEffect(() => { saveSetting("processing", processing); }, [processing]);
+  useEffect(() => {
+    playbackRef.current = playback;
+    saveSetting("playback", playback);
+  }, [playback]);
+  // 새 파일을 불러오면 미디어 요소 속도가 초기화되므로 duration 이 바뀔 때도 다시 적용
+  useEffect(() => {
+    const ws = wsRef.current;
+    if (!ws) return;
+    ws.setPlaybackRate(playback.rate, true);
+    ws.setVolume(playback.volume);
+  }, [playback.rate, playback.volume, duration]);
+  useEffect(() => {
+    wsRef.current?.setOptions({ autoScroll: playback.follow, autoCenter: playback.follow });
+  }, [playback.follow]);
+  useEffect(() => { saveSetting("taxonomy", taxonomy); }, [taxonomy]);
+  useEffect(() => { saveSetting("shortcuts", bindings); }, [bindings]);
+  useEffect(() => { saveSetting("fileStatus", fileStatus); }, [fileStatus]);
+  useEffect(() => { saveSetting("vad", vad); }, [vad]);
+  useEffect(() => { saveSetting("spectrogram", spectro); }, [spectro]);
+  useEffect(() => { saveSetting("output", output); }, [output]);
+  useEffect(() => {
+    snapRef.current = snapMode;
+    saveSetting("snap", snapMode);
+  }, [snapMode]);
+  useEffect(() => { audioBufferRef.current = audioBuffer; }, [audioBuffer]);
+  useEffect(() => () => encoderRef.current?.dispose(), []);
+  useEffect(() => {
+    constraintsRef.current = constraints;
+    saveSetting("constraints", constraints);
+  }, [constraints]);
 
 useEffect(() => {
   const onBeforeUnload = () => { persistCurrent(); };
@@ -216,12 +342,14 @@ useEffect(() => {
   if (!regions) return;
   clearAllRegions();
   // rowsToDraw.forEach((r) => {
- const normalized = ensureUniqueColors(rowsToDraw).slice(0, MAX_REGIONS); // ★ 유니크 보정
+ // 제한보다 많아도 자르지 않음 (저장된 구간을 잃지 않게, 검사에서 표시하고 새 구간 추가만 막음)
+ const normalized = ensureUniqueColors(rowsToDraw); // ★ 유니크 보정
  normalized.forEach((r) => {
     
     regions.addRegion({
       id: r.id, start: r.start, end: Math.min(r.start + r.maxLen, r.end),
-      color: r.color, drag: true, resize: false
+      color: r.color, drag: true, resize: true,
+      minLength: constraintsRef.current.minLen, maxLength: constraintsRef.current.maxLen
     });
   });
   // setRows(rowsToDraw);
@@ -238,16 +366,48 @@ useEffect(() => {
       progressColor: "#3b82f6",
       cursorColor: "#64748b",
       normalize: true,
-      minPxPerSec: 50,
+      minPxPerSec: DEFAULT_PX_PER_SEC,
+      autoScroll: playbackRef.current.follow,
+      autoCenter: playbackRef.current.follow,
     });
     // const regions = ws.registerPlugin(RegionsPlugin.create());
     const regions = ws.registerPlugin(RegionsPlugin.create({ dragSelection: false }));
+    ws.registerPlugin(TimelinePlugin.create({ height: 18, style: { fontSize: "10px", color: "#64748b" } }));
+    ws.registerPlugin(ZoomPlugin.create({ scale: 0.25, maxZoom: MAX_PX_PER_SEC }));
+    ws.registerPlugin(
+      MinimapPlugin.create({
+        container: minimapRef.current,
+        height: 36,
+        waveColor: "#cbd5e1",
+        progressColor: "#94a3b8",
+        cursorWidth: 0,
+        overlayColor: "transparent",
+        interact: false,
+      })
+    );
     wsRef.current = ws;
     regionsRef.current = regions;
 
+    // 보이는 시간 범위 (미니맵 viewport 표시용)
+    const readView = () => {
+      const dur = ws.getDuration();
+      const full = ws.getWrapper().clientWidth;
+      if (!dur || !full) return;
+      const left = ws.getScroll();
+      setView({ start: (left / full) * dur, end: Math.min(dur, ((left + ws.getWidth()) / full) * dur) });
+    };
+    ws.on("scroll", (start, end) => setView({ start, end }));
+    ws.on("zoom", (px) => {
+      setPxPerSec(px);
+      requestAnimationFrame(readView);
+    });
+    ws.on("redraw", readView);
+
     ws.on("ready", () => {
   const d = ws.getDuration();
-  setDuration(d);
+  // 디코딩 실패로 비운 파형(empty)이면 길이 0 -> 구간 추가 막힘
+  setDuration(audioBufferRef.current ? d : 0);
+  if (!audioBufferRef.current) return;
 
  // 3-1) 캐시 복원을 ready 시점에 먼저 처리
  if (pendingRowsRef.current && pendingRowsRef.current.length) {
@@ -266,11 +426,12 @@ useEffect(() => {
     seedOnReadyRef.current = false;
     isRestoringRef.current = true; // ★
     const id = Math.random().toString(36).slice(2);
-    const color = COLORS[0];
+    const color = palette()[0];
     const start = 0;
-    const end = Math.min(DEFAULT_MAX_LEN, d);
+    const { defaultLen } = constraintsRef.current;
+    const end = Math.min(defaultLen, d);
   //  setRows([{ id, label: "", maxLen: DEFAULT_MAX_LEN, start, end, color }]);
-   const initial = [{ id, label: "", maxLen: DEFAULT_MAX_LEN, start, end, color }];
+   const initial = [{ id, label: "", maxLen: defaultLen, start, end, color }];
    renderRowsToRegions(initial);
    requestAnimationFrame(() => { isRestoringRef.current = false; }); // ★
   }
@@ -279,51 +440,145 @@ useEffect(() => {
 
     ws.on("destroy", () => setDuration(0));
 
+    // 구간 재생: 끝에 닿으면 반복 또는 정지. 재생 위치가 들어 있는 구간을 목록에서 강조
+    ws.on("timeupdate", (t) => {
+      const rp = regionPlayRef.current;
+      if (rp && t >= rp.end) {
+        if (playbackRef.current.loop) {
+          ws.setTime(rp.start);
+          return;
+        }
+        regionPlayRef.current = null;
+        ws.pause();
+        return;
+      }
+      if (!ws.isPlaying()) return;
+      const hit = rp ? rp.rowId : rowsShadowRef.current.find((r) => t >= r.start && t < segmentEnd(r))?.id;
+      setPlayingRowId(hit ?? null);
+    });
+    ws.on("pause", () => setPlayingRowId(null));
+    ws.on("interaction", () => { regionPlayRef.current = null; }); // 파형을 직접 클릭하면 일반 재생으로
+    regions.on("region-clicked", (reg) => setSelectedId(reg.id));
+
     // 사용자 드래그 시 React 상태와 동기화 + maxLen 강제
+    // 사용자 드래그/리사이즈 시 React 상태와 동기화 + 길이 제한 + 스냅
     regions.on("region-updated", (reg) => {
-      const cur = rowsShadowRef.current;
-      const meta = cur.find((r) => r.id === reg.id);
-      const maxLen = meta ? meta.maxLen : DEFAULT_MAX_LEN;
-
-      // cap end by start+maxLen
-      if (reg.end > reg.start + maxLen){reg.setOptions({ start: reg.start, end: reg.start + maxLen });};
+      pushHistory();
+      const meta = rowsShadowRef.current.find((r) => r.id === reg.id);
+      const { minLen, maxLen: limit, defaultLen } = constraintsRef.current;
+      const prevLen = meta ? Math.min(meta.maxLen, meta.end - meta.start) : defaultLen;
+      const ab = audioBufferRef.current;
+      const mode = snapRef.current;
+      const dur = ws.getDuration();
+
+      let start = reg.start;
+      let end = reg.end;
+      const resized = Math.abs(end - start - prevLen) > 1e-3;
+      let maxLen = meta ? meta.maxLen : defaultLen;
+      if (resized) {
+        // 움직인 쪽 경계만 스냅, 길이는 [min, max] 로
+        const leftMoved = meta ? Math.abs(start - meta.start) > 1e-6 : false;
+        if (leftMoved) start = snapTime(ab, start, mode);
+        else end = snapTime(ab, end, mode);
+        maxLen = Math.round(Math.min(limit, Math.max(minLen, end - start)) * 1000) / 1000;
+        if (leftMoved) start = Math.max(0, end - maxLen);
+        end = Math.min(dur, start + maxLen);
+      } else {
+        // 이동: 시작점만 스냅하고 길이 유지
+        start = Math.max(0, Math.min(snapTime(ab, start, mode), Math.max(0, dur - prevLen)));
+        end = Math.min(start + maxLen, dur);
+      }
+      reg.setOptions({ start, end });
 
       setRows((prev) =>
-        prev.map((r) =>
-          r.id === reg.id
-            ? { ...r, start: reg.start, end: Math.min(reg.start + r.maxLen, reg.end) }
-            : r
-        )
+        prev.map((r) => (r.id === reg.id ? { ...r, start, end, maxLen } : r))
       );
     });
 
     return () => ws.destroy();
   }, []);
 
+  // 스펙트로그램: 같은 wrapper 안에 그려져 스크롤/줌/구간이 파형과 함께 움직임
+  // 파형은 요약 peaks 로 그리므로 (ws.getDecodedData 는 peaks) 주파수 데이터는 디코딩한 버퍼로 계산해 넘김
+  useEffect(() => {
+    const ws = wsRef.current;
+    if (!ws || !spectro.enabled || !audioBuffer) return;
+    const frequencies = computeFrequencies(audioBuffer, { fftSamples: spectro.fftSamples, scale: spectro.scale });
+    const url = URL.createObjectURL(new Blob([JSON.stringify(frequencies.map((col) => Array.from(col)))], { type: "application/json" }));
+    const plugin = ws.registerPlugin(
+      SpectrogramPlugin.create({
+        labels: true,
+        height: 160,
+        fftSamples: spectro.fftSamples,
+        colorMap: resolveColorMap(spectro.colorMap),
+        scale: spectro.scale,
+        sampleRate: audioBuffer.sampleRate,
+        frequencyMax: audioBuffer.sampleRate / 2,
+        frequenciesDataUrl: url,
+      })
+    );
+    return () => {
+      plugin.destroy();
+      URL.revokeObjectURL(url);
+    };
+  }, [spectro.enabled, spectro.fftSamples, spectro.colorMap, spectro.scale, audioBuffer]);
+
   const loadFile = async (file) => {
     isRestoringRef.current = true;        // ★ 캐시 저장 잠시 중지
   // 이전 상태 초기화
   clearAllRegions();
   // isPointerDownRef.current = false;
+  regionPlayRef.current = null;
   wsRef.current?.stop?.();
 
-  const url = URL.createObjectURL(file);
-  if (window.__prevAudioUrl) URL.revokeObjectURL(window.__prevAudioUrl);
-  window.__prevAudioUrl = url;
+  const seq = ++loadSeqRef.current;
+  setShowIssues(false);
+  setAudioBuffer(null);
+  await storeReadyRef.current; // 저장된 구간을 다 읽은 뒤에 복원
+  if (seq !== loadSeqRef.current) return;
 
  // 캐시에 있으면 복원, 없으면 ready에서 기본 1구간 생성
  const key = fileKey(file);
-let cached = fileRowsRef.current.get(key);
- if (!cached) cached = loadRowsLS(key); // ← 메모리에 없으면 localStorage에서
+ const cached = fileRowsRef.current.get(key);
  const hasCached = Array.isArray(cached) && cached.length > 0;
  seedOnReadyRef.current = !hasCached;     // 캐시 없으면 기본 1구간 seed
  pendingRowsRef.current = hasCached ? cached : null; // 캐시 있으면 ready 때 그릴 것
 
-  wsRef.current.load(url);
-
-  if (!acRef.current) acRef.current = new (window.AudioContext || window.webkitAudioContext)();
-  const buf = await file.arrayBuffer();
-  const decoded = await acRef.current.decodeAudioData(buf);
+  // 데스크톱 앱의 디스크 파일은 여기서 읽어 Blob 으로
+  // 디코딩은 한 번만: WaveSurfer 에는 요약 peaks 를 넘겨 다시 fetch / 디코딩하지 않게 (재생은 미디어 요소가 blob URL 로)
+  let decoded;
+  let blob;
+  try {
+    blob = await fileBlob(file);
+    if (seq !== loadSeqRef.current) return;
+    decoded = await decodeFile(file, blob);
+  } catch (e) {
+    if (seq !== loadSeqRef.current) return;
+    console.error("decode failed", file.name, e);
+    setFileErrors((prev) => ({ ...prev, [key]: `디코딩 실패: ${e?.message || "지원하지 않는 코덱이거나 손상된 파일"}` }));
+    // 이전 파일의 파형이 남지 않게 비우고 (ready 에서 복원 / seed 안 함) 캐시 저장 다시 허용
+    audioBufferRef.current = null;
+    pendingRowsRef.current = null;
+    seedOnReadyRef.current = false;
+    wsRef.current?.empty();
+    isRestoringRef.current = false;
+    return;
+  }
+  if (seq !== loadSeqRef.current) return;
+  const url = URL.createObjectURL(blob);
+  if (window.__prevAudioUrl) URL.revokeObjectURL(window.__prevAudioUrl);
+  window.__prevAudioUrl = url;
+  audioBufferRef.current = decoded; // ready 전에 스냅이 쓸 수 있게
+  wsRef.current.load(url, computePeaks(decoded), decoded.duration).catch((e) => console.warn("waveform load failed", e));
+  if (!fileInfoRef.current.has(key)) {
+    fileInfoRef.current.set(key, bufferInfo(decoded));
+  }
+  setFileErrors((prev) => {
+    if (!prev[key]) return prev;
+    const next = { ...prev };
+    delete next[key];
+    return next;
+  });
   setAudioBuffer(decoded);
 
 // isRestoringRef는 ready에서 복원/seed가 끝난 뒤에 끕니다.
@@ -335,37 +590,105 @@ let cached = fileRowsRef.current.get(key);
     if (files[current]) loadFile(files[current]);
   }, [current, files]);
 
-  const onPickFiles = (e) => {
-    const picked = Array.from(e.target.files || []).filter((f) => /\.wav$/i.test(f.name));
+  const addFiles = (all) => {
+    const picked = [];
+    const rejected = [];
+    all.forEach((f) => {
+      const reason = unsupportedReason(f);
+      if (reason) rejected.push({ path: relPath(f), reason });
+      else picked.push(f);
+    });
+    // 숨김 파일(.DS_Store 등)은 보고 없이 제외
+    setSkipped(rejected.filter((x) => !/(^|\/)\./.test(x.path)));
     if (picked.length) {
+      attachProject(picked);
       setFiles((prev) => {
         const next = [...prev, ...picked];
         if (prev.length === 0) setCurrent(0); // 최초 추가면 즉시 첫 파일 로드
         return next;
       });
     }
+  };
+
+  const onPickFiles = (e) => {
+    addFiles(Array.from(e.target.files || []));
     e.target.value = "";
   };
 
   const onPickFolder = (e) => onPickFiles(e);
 
+  // 데스크톱 앱: 네이티브 폴더 대화상자 + 하위 폴더 스캔
+  const refreshRecent = () => desktop?.listRecent().then(setRecent);
+
+  const openDesktopFolder = async () => {
+    try {
+      const res = await desktop.openFolder(AUDIO_EXTS);
+      if (res) addFiles(res.files.map(desktopFile));
+    } catch (e) {
+      alert(`폴더를 열 수 없습니다: ${e.message || e}`);
+    }
+    refreshRecent();
+  };
+
+  const openRecent = async (path) => {
+    if (!path) return;
+    try {
+      const res = await desktop.openRecent(path, AUDIO_EXTS);
+      if (res.kind === "folder") addFiles(res.files.map(desktopFile));
+      else openProjectText(res.text);
+    } catch (e) {
+      alert(`열 수 없습니다: ${e.message || e}`);
+    }
+    refreshRecent();
+  };
+
+  useEffect(() => {
+    refreshRecent();
+  }, []);
+
   const addRow = () => {
     // if (!wsRef.current) return;
     if (!wsRef.current || !canAddRegion) return; // 로드 전엔 막기
      if (rows.length >= MAX_REGIONS) {
-       alert("구간은 최대 7개까지만 추가할 수 있어요.");
+       alert(`구간은 최대 ${MAX_REGIONS}개까지만 추가할 수 있어요.`);
        return;
      }
+    pushHistory();
     const id = Math.random().toString(36).slice(2);
     // const color = COLORS[rows.length % COLORS.length];
     const color = pickColor(rowsShadowRef.current); // ★ 현재 사용 중 아닌 색
     const start = 0;
     const end = Math.min(DEFAULT_MAX_LEN, wsRef.current.getDuration());
-    regionsRef.current.addRegion({ id, start, end, color, drag: true, resize: false });
+    regionsRef.current.addRegion({ id, start, end, color, drag: true, resize: true, minLength: MIN_LEN, maxLength: MAX_LEN });
     setRows((prev) => [...prev, { id, label: "", maxLen: DEFAULT_MAX_LEN, start, end, color }]);
   };
 
+  // 음원을 분석해 이벤트 중심으로 구간 후보를 만들고 기존 구간을 대체 (undo 가능)
+  const autoPropose = () => {
+    if (!audioBuffer || !canAddRegion) return;
+    if (rows.some((r) => r.label) && !confirm("라벨이 입력된 구간이 있습니다. 자동 제안으로 대체할까요?")) return;
+    const events = detectEvents(audioBuffer, vad);
+    const proposals = proposeSegments(events, {
+      duration: wsRef.current.getDuration(),
+      minLen: MIN_LEN,
+      maxLen: MAX_LEN,
+      maxCount: MAX_REGIONS,
+    });
+    if (!proposals.length) {
+      alert("검출된 이벤트가 없습니다. 임계값을 낮춰 보세요.");
+      return;
+    }
+    pushHistory();
+    const next = [];
+    proposals.forEach((p) => {
+      next.push({ id: Math.random().toString(36).slice(2), label: "", color: pickColor(next), ...p });
+    });
+    replaceRows(next);
+  };
+
   const updateRow = (id, patch) => {
+  pushHistory(`${id}:${Object.keys(patch).join(",")}`);
+  if ("label" in patch) writtenRef.current.delete(id); // 라벨이 바뀌면 저장된 파일과 이름이 달라짐
   const dur = wsRef.current?.getDuration?.() || duration || Infinity;
   const curMeta = rowsShadowRef.current.find((r) => r.id === id);
   setRows(prev =>
@@ -402,74 +725,735 @@ let cached = fileRowsRef.current.get(key);
    const removeRow = (rowOrId) => {
        const id = typeof rowOrId === 'string' ? rowOrId : rowOrId?.id;
           if (!id) return;
+   pushHistory();
    const region = regionsRef.current?.getRegions().find((x) => x.id === id);
    if (region) region.remove();
    setRows(prev => prev.filter(r => r.id !== id));
  };
 
+  // 앞뒤 여유를 붙여 재생, 끝 처리(반복 / 정지)는 timeupdate 에서
   const playRegion = (r) => {
-    if (!wsRef.current) return;
-    wsRef.current.play(r.start, Math.min(r.start + r.maxLen, r.end));
+    const ws = wsRef.current;
+    if (!ws) return;
+    const { start, end } = playWindow(r, segmentEnd(r), playback, ws.getDuration());
+    regionPlayRef.current = { rowId: r.id, start, end };
+    setPlayingRowId(r.id);
+    ws.play(start);
+  };
+
+  const stopPlayback = () => {
+    regionPlayRef.current = null;
+    wsRef.current?.stop();
+  };
+
+  // 내보내기 처리(여백 / 정규화 / 페이드 등)를 적용한 결과 미리듣기. 다시 누르면 정지
+  const previewRow = (r) => {
+    if (previewRef.current) {
+      const playing = previewRef.current;
+      previewRef.current = null;
+      playing.stop();
+      if (playing.rowId === r.id) return;
+    }
+    if (!audioBuffer) return;
+    wsRef.current?.pause();
+    const seg = renderSegment(audioBuffer, r.start, segmentEnd(r), exportFmt, processing);
+    if (!seg.length) return;
+    if (!acRef.current) acRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    const ac = acRef.current;
+    const buf = ac.createBuffer(seg.numberOfChannels, seg.length, seg.sampleRate);
+    for (let ch = 0; ch < seg.numberOfChannels; ch++) buf.copyToChannel(seg.getChannelData(ch), ch);
+    const src = ac.createBufferSource();
+    src.buffer = buf;
+    const gain = ac.createGain();
+    gain.gain.value = playback.volume;
+    src.connect(gain).connect(ac.destination);
+    src.rowId = r.id;
+    src.onended = () => { if (previewRef.current === src) previewRef.current = null; };
+    previewRef.current = src;
+    ac.resume?.();
+    src.start();
+  };
+
+  // 라벨 목록에 없는 라벨이 있으면 저장/내보내기 차단
+  const labelsValid = (targets) => {
+    const bad = [];
+    targets.forEach(({ file, rows: fr }) => {
+      fr.forEach((r, idx) => {
+        if (!isLabelAllowed(r.label, taxonomy)) bad.push(`${file.name} #${idx + 1} "${r.label}"`);
+      });
+    });
+    if (!bad.length) return true;
+    alert(`라벨 목록에 없는 라벨이 있어 저장할 수 없습니다.\n${bad.slice(0, 10).join("\n")}${bad.length > 10 ? `\n외 ${bad.length - 10}건` : ""}`);
+    return false;
+  };
+
+  // 저장 전 검사 - 문제가 있으면 대화상자, 없으면 바로 action. onlyRow 면 그 구간 관련 문제만
+  const runValidated = (action, onlyRow) => {
+    let issues = validateRows(rows, { duration, taxonomy, constraints });
+    if (onlyRow) issues = issues.filter((x) => x.rowId === onlyRow.id);
+    if (!issues.length) {
+      action();
+      return;
+    }
+    setShowIssues(true);
+    setValidation({ issues, onProceed: action });
+  };
+
+  const chooseOutputDir = async () => {
+    try {
+      const dir = await pickOutputDir();
+      if (!dir) return;
+      outDirRef.current = dir;
+      setOutDirName(dir.name);
+    } catch (e) {
+      alert(`출력 폴더를 열 수 없습니다: ${e.message || e}`);
+    }
+  };
+
+  const clearOutputDir = () => {
+    outDirRef.current = null;
+    setOutDirName("");
+  };
+
+  // 출력 폴더가 있으면 path 그대로 쓰고, 없으면 파일명만으로 다운로드
+  // 반환: { status: "written" | "renamed" | "skipped" | "downloaded", path }
+  const writeOutput = async (path, blob) => {
+    if (!outDirRef.current) {
+      downloadBlob(blob, path.split("/").pop());
+      return { status: "downloaded", path };
+    }
+    return writeToDir(outDirRef.current, path, blob, output.collision);
+  };
+
+  // 폴더 저장 결과 요약 (건너뜀 / 이름 변경이 있을 때만 알림)
+  const reportWrites = (results) => {
+    const skippedN = results.filter((x) => x.status === "skipped").length;
+    const renamed = results.filter((x) => x.status === "renamed");
+    if (!skippedN && !renamed.length) return;
+    const lines = [`저장 ${results.length - skippedN}개`];
+    if (skippedN) lines.push(`같은 이름이 있어 건너뜀 ${skippedN}개`);
+    if (renamed.length) lines.push(`이름 변경 ${renamed.length}개`, ...renamed.slice(0, 5).map((x) => `  ${x.path}`));
+    alert(lines.join("\n"));
+  };
+
+  const encoder = () => (encoderRef.current ||= createEncoder());
+
+  // 오래 걸리는 내보내기: 진행 표시 + 취소. fn(step) 안에서 step(done, label) 으로 진행 표시 / 취소 확인
+  // 취소되면 false, 이미 다른 작업 중이면 아무것도 안 함
+  const runTask = async (label, total, fn) => {
+    if (taskRef.current) return false;
+    const t = { cancelled: false };
+    taskRef.current = t;
+    setTask({ label, done: 0, total });
+    const step = (done, text = label) => {
+      if (t.cancelled) throw abortError();
+      setTask({ label: text, done, total });
+    };
+    try {
+      await fn(step);
+      return true;
+    } catch (e) {
+      if (isAbort(e)) return false;
+      throw e;
+    } finally {
+      taskRef.current = null;
+      setTask(null);
+    }
+  };
+
+  const cancelTask = () => {
+    if (!taskRef.current) return;
+    taskRef.current.cancelled = true;
+    encoderRef.current?.cancel();
   };
 
-  const saveRow = async (r) => {
+  // 구간 WAV (내보내기 처리 + 포맷 + 출처 메타데이터). 샘플 복사만 여기서, 처리 / 인코딩은 worker
+  const segmentWav = async (f, ab, r) => {
+    const meta = { label: r.label, source: relPath(f), tool: TOOL_VERSION, exportedAt: new Date() };
+    const bytes = await encoder().encodeCut(cutSegment(ab, r.start, segmentEnd(r), processing), exportFmt, processing, meta);
+    return new Blob([bytes], { type: "audio/wav" });
+  };
+
+  const writeRow = async (r) => {
+    const result = await writeOutput(outputPath(files[current], r, output), await segmentWav(files[current], audioBuffer, r));
+    writtenRef.current.set(r.id, result.path);
+    return result;
+  };
+
+  const saveRow = async (r, checked = false) => {
     if (!audioBuffer || !files[current]) return;
-    const sliced = sliceBuffer(
-      acRef.current,
-      audioBuffer,
-      r.start,
-      Math.min(r.start + r.maxLen, r.end)
-    );
-    const blob = audioBufferToWav(sliced);
-    const a = document.createElement("a");
-    const base = baseName(files[current].name);
-    const label = (r.label || "seg").replace(/\s+/g, "_");
-    a.href = URL.createObjectURL(blob);
-    a.download = `${base}_${label}.wav`;
-    a.click();
-    URL.revokeObjectURL(a.href);
+    if (!checked) {
+      runValidated(() => saveRow(r, true), r);
+      return;
+    }
+    try {
+      await runTask("저장 중", 1, async () => reportWrites([await writeRow(r)]));
+    } catch (e) {
+      console.error(e);
+      alert(`저장 실패: ${e.message || e}`);
+    }
   };
 
+  // 취소해도 이미 저장한 구간은 그대로 두고 결과 보고
   const saveAll = async () => {
-    for (const r of rows) await saveRow(r);
-  };
-
-  // const nextFile = () => {
-  //   if (current < files.length - 1) setCurrent((c) => c + 1);
-  // };
-  const nextFile = () => {
-  if (current < files.length - 1) {
-   persistCurrent();
-      isRestoringRef.current = true;
-    setCurrent((c) => c + 1);
-   requestAnimationFrame(() => {
-     isRestoringRef.current = false;
-   });
-  }
-};
+    if (!audioBuffer || !files[current]) return;
+    runValidated(async () => {
+      // 출력 폴더가 없으면 구간마다 다운로드하지 않고 ZIP 하나로
+      if (!outDirRef.current) return exportZip("current");
+      const targets = rows;
+      const results = [];
+      try {
+        await runTask("구간 저장 중", targets.length, async (step) => {
+          for (let i = 0; i < targets.length; i++) {
+            step(i, `구간 저장 중 (${i + 1}/${targets.length})`);
+            results.push(await writeRow(targets[i]));
+          }
+        });
+      } catch (e) {
+        console.error(e);
+        alert(`저장 실패: ${e.message || e}`);
+      }
+      reportWrites(results);
+    });
+  };
+
+  // 현재 파일 전체 길이 사본 + 구간마다 cue 마커 (후처리 없이 포맷만 변환)
+  const exportMarked = async () => {
+    const f = files[current];
+    if (!audioBuffer || !f || !rows.length) return;
+    runValidated(async () => {
+      try {
+        await runTask("전체 + 마커 저장 중", 1, async () => {
+          const regions = rows.map((r) => ({ start: r.start, end: segmentEnd(r), label: r.label }));
+          const meta = { label: baseName(f.name), source: relPath(f), tool: TOOL_VERSION, exportedAt: new Date() };
+          const data = await encoder().encodeMarked(audioBuffer, regions, exportFmt, meta);
+          const path = joinPath(output.bySource ? safeDir(dirName(relPath(f))) : "", `${safeName(baseName(f.name), "audio")}_marked.wav`);
+          reportWrites([await writeOutput(path, new Blob([data], { type: "audio/wav" }))]);
+        });
+      } catch (e) {
+        console.error(e);
+        alert(`저장 실패: ${e.message || e}`);
+      }
+    });
+  };
+
+  // 파일별 rows: 현재 파일은 state, 나머지는 메모리 캐시 (IndexedDB 에서 읽어 둔 것 포함)
+  const rowsForFile = (f) => {
+    if (f === files[current]) return rows;
+    const key = fileKey(f);
+    return fileRowsRef.current.get(key) || [];
+  };
+
+  // 원본 포맷 정보 (WAV 헤더, 없으면 디코딩 때 채워 둔 값)
+  const fileInfo = async (f) => {
+    const key = fileKey(f);
+    if (fileInfoRef.current.has(key)) return fileInfoRef.current.get(key);
+    const info = await readWavInfo(f);
+    if (info) fileInfoRef.current.set(key, info);
+    return info;
+  };
+
+  // 길이까지 확실한 원본 정보: WAV 헤더가 없으면 (mp3 / flac 등) 디코딩해서 채움
+  const sourceInfo = async (f) => {
+    const info = await fileInfo(f);
+    if (info?.sampleRate && Number.isFinite(info.duration)) return info;
+    const full = bufferInfo(await decodeFile(f));
+    fileInfoRef.current.set(fileKey(f), full);
+    return full;
+  };
+
+  // 원본 샘플레이트 그대로 디코딩 (AudioContext 기본 레이트로 리샘플링되지 않게)
+  // PCM / float WAV 는 JS 디코더로 (CLI 와 같은 샘플 값 -> 같은 출력 바이트)
+  // blob: 이미 읽어 둔 내용 (없으면 파일에서)
+  const decodeFile = async (f, blob) => {
+    const buf = await (blob || (await fileBlob(f))).arrayBuffer();
+    const info = await fileInfo(f);
+    if (info) {
+      try {
+        return decodeWav(buf);
+      } catch (e) {
+        console.warn("wav decode failed, falling back", e);
+      }
+    }
+    if (info?.sampleRate && window.OfflineAudioContext) {
+      try {
+        return await new OfflineAudioContext(1, 1, info.sampleRate).decodeAudioData(buf.slice(0));
+      } catch (e) {
+        console.warn("native-rate decode failed, falling back", e);
+      }
+    }
+    if (!acRef.current) acRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    return acRef.current.decodeAudioData(buf);
+  };
+
+  // ZIP 안의 경로: [라벨/]원본폴더/원본이름_라벨.wav
+  const zipPath = (f, r) => outputPath(f, r, { byLabel: zipByLabel, bySource: true });
+
+  // scope: "current" | "all" - 구간 WAV + manifest.csv 를 ZIP 하나로
+  const exportZip = async (scope) => {
+    if (taskRef.current) return;
+    const targets = (scope === "all" ? files : files[current] ? [files[current]] : [])
+      .filter((f) => rowsForFile(f).length);
+    if (!targets.length) {
+      alert("내보낼 구간이 없습니다.");
+      return;
+    }
+    if (!labelsValid(targets.map((f) => ({ file: f, rows: rowsForFile(f) })))) return;
+    const entries = [];
+    const manifest = [];
+    const usedPaths = new Set(["manifest.csv"]);
+    const total = targets.reduce((n, f) => n + rowsForFile(f).length, 0);
+    try {
+      // 진행: 구간 인코딩 total 개 + ZIP 항목(구간 + manifest.csv) total + 1 개
+      await runTask("ZIP 생성 중", total * 2 + 1, async (step) => {
+        let done = 0;
+        for (let i = 0; i < targets.length; i++) {
+          const f = targets[i];
+          const text = `ZIP 생성 중 (파일 ${i + 1}/${targets.length})`;
+          step(done, text);
+          const fr = rowsForFile(f);
+          const ab = f === files[current] && audioBuffer ? audioBuffer : await decodeFile(f);
+          // 같은 경로는 createZip 과 같은 규칙으로 미리 이름을 바꿔 매니페스트와 맞춤
+          const paths = fr.map((r) => {
+            const p = uniquePath(zipPath(f, r), usedPaths);
+            usedPaths.add(p);
+            return p;
+          });
+          for (let j = 0; j < fr.length; j++) {
+            step(done++, text);
+            entries.push({ path: paths[j], data: await segmentWav(f, ab, fr[j]) });
+          }
+          const info = (await fileInfo(f)) || bufferInfo(ab);
+          buildManifestEntries(f, fr, info, resolveFormat(exportFmt, info), processing, ab).forEach((m, j) => manifest.push({ ...m, file: paths[j] }));
+        }
+        step(total, "ZIP 압축 중");
+        entries.push({ path: "manifest.csv", data: manifestToCSV(manifest) });
+        // CRC 계산 / 묶기는 worker 에서 (구간 WAV 는 Blob 그대로 넘김)
+        const zip = await encoder().zip(entries, (n) => step(total + n, `ZIP 압축 중 (${n}/${entries.length})`));
+        step(total * 2 + 1, "ZIP 저장 중");
+        const name = scope === "all" ? "segments" : safeName(baseName(files[current].name), "segments");
+        reportWrites([await writeOutput(`${name}.zip`, zip)]);
+      });
+    } catch (e) {
+      console.error(e);
+      alert(`ZIP 생성 실패: ${e.message || e}`);
+    }
+  };
+
+  // scope: "current" | "all", format: "csv" | "json"
+  const exportManifest = async (scope, format) => {
+    const targets = scope === "all" ? files : files[current] ? [files[current]] : [];
+    if (!labelsValid(targets.map((f) => ({ file: f, rows: rowsForFile(f) })))) return;
+    const entries = [];
+    const withRows = targets.filter((f) => rowsForFile(f).length);
+    try {
+      // 무음 잘라내기 범위는 샘플을 봐야 알 수 있으므로 그때만 디코딩 (WAV 가 아니면 포맷 정보를 위해서도)
+      const ok = await runTask("매니페스트 생성 중", withRows.length, async (step) => {
+        for (let i = 0; i < withRows.length; i++) {
+          const f = withRows[i];
+          step(i);
+          try {
+            const ab = !processing.trimSilence ? null : f === files[current] && audioBuffer ? audioBuffer : await decodeFile(f);
+            const info = ab ? (await fileInfo(f)) || bufferInfo(ab) : await sourceInfo(f);
+            const fr = rowsForFile(f);
+            // 저장한 적 있으면 실제로 쓴 경로 (이름 변경 반영), 아니면 저장될 경로
+            buildManifestEntries(f, fr, info, resolveFormat(exportFmt, info), processing, ab).forEach((m, j) =>
+              entries.push({ ...m, file: writtenRef.current.get(fr[j].id) || outputPath(f, fr[j], output) })
+            );
+          } catch (e) {
+            throw new Error(`${relPath(f)}: ${e.message || e}`);
+          }
+        }
+      });
+      if (!ok) return;
+    } catch (e) {
+      alert(`매니페스트 생성 실패: ${e.message || e}`);
+      return;
+    }
+    if (!entries.length) {
+      alert("내보낼 구간이 없습니다.");
+      return;
+    }
+    const text = format === "json" ? manifestToJSON(entries) : manifestToCSV(entries);
+    const type = format === "json" ? "application/json" : "text/csv";
+    const name = scope === "all" ? "manifest" : `${baseName(files[current].name)}_manifest`;
+    try {
+      reportWrites([await writeOutput(`${name}.${format}`, new Blob([text], { type }))]);
+    } catch (e) {
+      alert(`저장 실패: ${e.message || e}`);
+    }
+  };
+
+  // 구간을 라벨 파일로 (format: "audacity" | "textgrid" | "vtt")
+  // 여러 파일이면 출력 폴더에 각각 쓰거나, 폴더가 없으면 ZIP 하나로
+  const exportLabels = async (scope, format) => {
+    const targets = (scope === "all" ? files : files[current] ? [files[current]] : []).filter((f) => rowsForFile(f).length);
+    if (!targets.length) {
+      alert("내보낼 구간이 없습니다.");
+      return;
+    }
+    if (!labelsValid(targets.map((f) => ({ file: f, rows: rowsForFile(f) })))) return;
+    const { ext, type } = LABEL_FORMATS[format];
+    try {
+      const entries = [];
+      for (const f of targets) {
+        const dur = f === files[current] ? duration : (await sourceInfo(f)).duration;
+        entries.push({
+          path: labelFilePath(f, format, outDirRef.current ? output : { bySource: true }),
+          data: new Blob([serializeLabels(format, rowsForFile(f), dur)], { type }),
+        });
+      }
+      if (entries.length === 1 || outDirRef.current) {
+        const results = [];
+        for (const e of entries) results.push(await writeOutput(e.path, e.data));
+        reportWrites(results);
+      } else {
+        reportWrites([await writeOutput(`labels_${ext}.zip`, await createZip(entries))]);
+      }
+    } catch (e) {
+      console.error(e);
+      alert(`라벨 내보내기 실패: ${e.message || e}`);
+    }
+  };
+
+  // 세션 전체를 프로젝트 파일로 (목록에 없는 파일은 경로/상태만)
+  const exportProject = async () => {
+    persistCurrent();
+    const entries = files.map((f) => ({ file: f, rows: rowsForFile(f), status: fileStatus[relPath(f)] || "untouched" }));
+    const loaded = new Set(files.map(relPath));
+    Object.entries(fileStatus)
+      .filter(([p]) => !loaded.has(p))
+      .forEach(([p, status]) => entries.push({ path: p, rows: [], status }));
+    const project = buildProject({ entries, settings: { export: exportFmt, processing, taxonomy, shortcuts: bindings, constraints } });
+    const text = JSON.stringify(project, null, 2);
+    if (desktop) {
+      try {
+        await desktop.saveProject(text, "session.wavseg.json");
+      } catch (e) {
+        alert(`프로젝트 저장 실패: ${e.message || e}`);
+      }
+      refreshRecent();
+      return;
+    }
+    downloadBlob(new Blob([text], { type: "application/json" }), "session.wavseg.json");
+  };
+
+  // 대기 중인 프로젝트 항목을 fileList 와 상대경로로 연결
+  const attachProject = (fileList) => {
+    const pending = pendingProjectRef.current;
+    if (!pending.length) return;
+    const { matches, missing, extra } = matchProject(pending, fileList);
+    matches.forEach(({ file, entry }) => {
+      if (!entry.rows.length) return;
+      const key = fileKey(file);
+      fileRowsRef.current.set(key, entry.rows);
+      storeRows(key, entry.rows);
+      historyRef.current.delete(key);
+    });
+    pendingProjectRef.current = missing;
+    // 지금 열려 있는 파일이면 바로 다시 그림
+    const hit = matches.find((m) => m.file === files[current] && m.entry.rows.length);
+    if (hit && duration > 0) replaceRows(hit.entry.rows);
+    setProjectReport({
+      matched: matches.length,
+      waiting: 0,
+      changed: matches.filter((m) => m.changed).map((m) => relPath(m.file)),
+      missing: missing.map((m) => m.path),
+      extra: extra.map(relPath),
+    });
+  };
+
+  const importProject = async (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (f) openProjectText(await f.text());
+  };
+
+  const openDesktopProject = async () => {
+    try {
+      const res = await desktop.openProject();
+      if (res) openProjectText(res.text);
+    } catch (e) {
+      alert(`프로젝트를 열 수 없습니다: ${e.message || e}`);
+    }
+    refreshRecent();
+  };
+
+  const openProjectText = (text) => {
+    let project;
+    try {
+      project = parseProject(text);
+    } catch (err) {
+      alert(`프로젝트를 열 수 없습니다: ${err.message || err}`);
+      return;
+    }
+    const { settings = {} } = project;
+    if (settings.export) setExportFmt({ ...DEFAULT_EXPORT_FORMAT, ...settings.export });
+    if (settings.processing) setProcessing({ ...DEFAULT_PROCESSING, ...settings.processing });
+    if (settings.taxonomy) setTaxonomy({ ...DEFAULT_TAXONOMY, ...settings.taxonomy });
+    if (settings.shortcuts) setBindings({ ...defaultBindings(), ...settings.shortcuts });
+    if (settings.constraints) {
+      const { value, errors } = validateConstraints({ ...DEFAULT_CONSTRAINTS, ...settings.constraints });
+      if (errors.length) alert(`프로젝트의 구간 제한 설정이 올바르지 않아 무시합니다.\n${errors.join("\n")}`);
+      else setConstraints(value);
+    }
+    const statuses = {};
+    project.files.forEach((x) => {
+      const st = normalizeStatus(x.status);
+      if (st !== "untouched") statuses[x.path] = st;
+    });
+    setFileStatus((prev) => ({ ...prev, ...statuses }));
+
+    persistCurrent();
+    pendingProjectRef.current = project.files;
+    if (files.length) {
+      attachProject(files);
+    } else {
+      setProjectReport({ matched: 0, waiting: pendingProjectRef.current.length, changed: [], missing: [], extra: [] });
+    }
+  };
+
+  // Audacity 라벨 / TextGrid / CSV 를 불러온 음원에 이름으로 연결해 구간으로
+  const importAnnotations = async (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!picked.length) return;
+    if (!files.length) {
+      alert("먼저 음원 파일 / 폴더를 불러오세요.");
+      return;
+    }
+    persistCurrent();
+
+    const byFile = new Map(); // File -> { intervals, notes, sources }
+    const unmatched = [];
+    const errors = [];
+    for (const a of picked) {
+      try {
+        parseAnnotationFile(a.name, decodeText(await a.arrayBuffer())).forEach((g) => {
+          const f = findAnnotatedFile(g.ref, files);
+          if (!f) {
+            unmatched.push(g.ref === a.name ? a.name : `${a.name}: ${g.ref}`);
+            return;
+          }
+          if (!byFile.has(f)) byFile.set(f, { intervals: [], notes: [], sources: [] });
+          const entry = byFile.get(f);
+          entry.intervals.push(...g.intervals);
+          entry.notes.push(...g.notes);
+          entry.sources.push(a.name);
+        });
+      } catch (err) {
+        errors.push(`${a.name}: ${err.message || err}`);
+      }
+    }
+
+    // 라벨 붙은 기존 구간이 있으면 추가 / 바꾸기 선택 (라벨 없는 기본 구간만 있으면 바꿈)
+    const labelled = [...byFile.keys()].filter((f) => rowsForFile(f).some((r) => r.label));
+    const append = labelled.length > 0 &&
+      confirm(`이미 라벨을 단 구간이 있는 파일 ${labelled.length}개\n확인: 기존 구간 뒤에 추가\n취소: 가져온 구간으로 바꾸기`);
+
+    const results = [];
+    const touched = {};
+    for (const [f, { intervals, notes, sources }] of byFile) {
+      const base = append ? rowsForFile(f) : [];
+      let dur;
+      try {
+        dur = f === files[current] ? duration : (await sourceInfo(f)).duration;
+      } catch (err) {
+        errors.push(`${relPath(f)}: 음원 길이를 알 수 없습니다 (${err.message || err})`);
+        continue;
+      }
+      const { rows: imported, issues } = intervalsToRows(intervals, { constraints, duration: dur, existing: base.length });
+      const next = [...base];
+      imported.forEach((r) => next.push({ id: Math.random().toString(36).slice(2), color: pickColor(next), ...r }));
+      results.push({ path: relPath(f), applied: imported.length, issues, notes, sources });
+      if (!imported.length) continue;
+
+      const key = fileKey(f);
+      if (f === files[current] && duration > 0) {
+        pushHistory("import");
+        replaceRows(next);
+      } else {
+        fileRowsRef.current.set(key, next);
+        storeRows(key, next);
+        historyRef.current.delete(key);
+      }
+      touched[relPath(f)] = "progress";
+    }
+    setFileStatus((prev) => {
+      const next = { ...prev };
+      Object.keys(touched).forEach((p) => { if (!next[p]) next[p] = "progress"; });
+      return next;
+    });
+    setImportReport({ mode: append ? "append" : "replace", files: results, unmatched, errors });
+  };
+
+  // 목록에서 파일 선택 (현재 진행상황 저장 후 전환)
+  const selectFile = (i) => {
+    if (i < 0 || i >= files.length || i === current) return;
+    persistCurrent();
+    isRestoringRef.current = true;
+    setCurrent(i);
+    requestAnimationFrame(() => { isRestoringRef.current = false; });
+  };
+
+  const nextFile = () => selectFile(current + 1);
+  const prevFile = () => selectFile(current - 1);
 const completeAndNext = () => {
   if (!files.length) return;
+  runValidated(finishCurrentFile);
+};
 
- const curKey = fileKey(files[current]);
- fileRowsRef.current.delete(curKey);
-  deleteRowsLS(curKey);           // ← localStorage도 정리
-
-isRestoringRef.current = true;
-  // 목록에서 현재 파일 제거
-  const nextFiles = files.filter((_, i) => i !== current);
-  setFiles(nextFiles);
-  // 다음 인덱스 정리
-  if (nextFiles.length === 0) {
-    setCurrent(0);
-    clearAllRegions();
-  } else {
-    setCurrent(Math.min(current, nextFiles.length - 1));
-  }
-  requestAnimationFrame(() => { isRestoringRef.current = false; });
+// 현재 파일 상태를 바꾸고 다음 미완료 파일로 (구간은 그대로 남겨 다시 열 수 있음)
+const finishCurrentFile = (status = "done") => {
+  if (!files.length) return;
+  const curPath = relPath(files[current]);
+  const nextStatus = { ...fileStatus, [curPath]: status };
+  setFileStatus(nextStatus);
+  const isOpen = (f) => !["done", "skipped"].includes(nextStatus[relPath(f)]);
+  let next = files.findIndex((f, i) => i > current && isOpen(f));
+  if (next < 0) next = files.findIndex(isOpen);
+  if (next >= 0) selectFile(next);
+  else persistCurrent();
+};
+
+const skipCurrentFile = () => finishCurrentFile("skipped");
+
+const setStatusOf = (f, status) => {
+  const path = relPath(f);
+  setFileStatus((prev) => {
+    const next = { ...prev };
+    if (status === "untouched") delete next[path];
+    else next[path] = status;
+    return next;
+  });
 };
 
+  const zoomTo = (px) => {
+    if (!wsRef.current || !duration) return;
+    wsRef.current.zoom(Math.max(MIN_PX_PER_SEC, Math.min(MAX_PX_PER_SEC, px)));
+  };
+  const zoomBy = (factor) => zoomTo(pxPerSec * factor);
+  // 전체 보기: 파일 전체가 화면 폭에 들어오게
+  const zoomFit = () => zoomTo(Math.max(1, (containerRef.current?.clientWidth || 800) / duration));
+
+  // 미니맵에서 고른 시간을 화면 가운데로
+  const navigateTo = (t) => {
+    const span = view.end - view.start;
+    wsRef.current?.setScrollTime(Math.max(0, t - span / 2));
+  };
+
   const currentFile = files[current];
+  const statusCounts = countStatuses(files.map(relPath), fileStatus);
+  // 목록 필터: 상태 + 파일명/라벨 검색
+  const listVisible = (f, status) => {
+    if (listFilter !== "all" && status !== listFilter) return false;
+    const q = listQuery.trim().toLowerCase();
+    if (!q) return true;
+    if (relPath(f).toLowerCase().includes(q)) return true;
+    return rowsForFile(f).some((r) => (r.label || "").toLowerCase().includes(q));
+  };
 const canAddRegion = !!currentFile && duration > 0; // 음원 로드되어 ready 된 상태
+  const selectedRow = rows.find((r) => r.id === selectedId) || rows[0];
+  const curHistory = historyRef.current.get(fileKey(currentFile));
+
+  const selectRegionAt = (idx) => {
+    const r = rows[idx];
+    if (!r) return;
+    setSelectedId(r.id);
+    wsRef.current?.setTime(r.start);
+  };
+
+  const nudgeSelected = (delta) => {
+    if (!selectedRow) return;
+    updateRow(selectedRow.id, { start: Math.max(0, selectedRow.start + delta) });
+  };
+
+  // 단축키 -> 동작 (매 렌더 최신 상태를 쓰도록 ref 로 핸들러 교체)
+  const shortcutRef = useRef(null);
+  shortcutRef.current = (e) => {
+    if (showShortcuts) {
+      if (e.code === "Escape") setShowShortcuts(false);
+      return;
+    }
+    const combo = eventToCombo(e);
+    const t = e.target;
+    const editing = t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName));
+    // 입력 중에는 Ctrl 조합만 처리
+    if (editing && !e.ctrlKey && !e.metaKey) return;
+
+    if (!editing && REGION_JUMP_KEYS.includes(combo)) {
+      e.preventDefault();
+      selectRegionAt(Number(combo) - 1);
+      return;
+    }
+    const selIdx = rows.indexOf(selectedRow);
+    const actions = {
+      playPause: () => wsRef.current?.playPause(),
+      stop: stopPlayback,
+      addRow,
+      playRegion: () => selectedRow && playRegion(selectedRow),
+      toggleLoop: () => setPlayback((p) => ({ ...p, loop: !p.loop })),
+      removeRow: () => selectedRow && removeRow(selectedRow.id),
+      saveRow: () => selectedRow && saveRow(selectedRow),
+      saveAll: () => rows.length && saveAll(),
+      completeAndNext,
+      skipFile: skipCurrentFile,
+      nextFile,
+      prevFile,
+      prevRegion: () => selectRegionAt(Math.max(0, selIdx - 1)),
+      nextRegion: () => selectRegionAt(Math.min(rows.length - 1, selIdx + 1)),
+      nudgeLeft: () => nudgeSelected(-NUDGE_FINE),
+      nudgeRight: () => nudgeSelected(NUDGE_FINE),
+      nudgeLeftCoarse: () => nudgeSelected(-NUDGE_COARSE),
+      nudgeRightCoarse: () => nudgeSelected(NUDGE_COARSE),
+      undo,
+      redo,
+      zoomIn: () => zoomBy(1.5),
+      zoomOut: () => zoomBy(1 / 1.5),
+      zoomFit,
+      help: () => setShowShortcuts(true),
+    };
+    const id = findAction(bindings, combo);
+    if (!id || !actions[id]) return;
+    // 입력 칸에서는 Ctrl+Z 등을 브라우저의 글자 되돌리기로
+    if (editing && (id === "undo" || id === "redo")) return;
+    e.preventDefault();
+    actions[id]();
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutRef.current?.(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // 데스크톱 앱 메뉴 -> 동작
+  const menuRef = useRef(null);
+  menuRef.current = (action, arg) => {
+    const actions = {
+      openFolder: openDesktopFolder,
+      openProject: openDesktopProject,
+      saveProject: exportProject,
+      openRecent: () => openRecent(arg),
+      chooseOutputDir,
+      saveAll: () => rows.length && saveAll(),
+      exportZip: () => exportZip(arg),
+      exportMarked,
+      exportManifest: () => exportManifest("all", arg),
+      exportLabels: () => exportLabels("all", arg),
+      completeAndNext,
+      skipFile: skipCurrentFile,
+      nextFile,
+      prevFile,
+      zoomIn: () => zoomBy(1.5),
+      zoomOut: () => zoomBy(1 / 1.5),
+      zoomFit,
+      help: () => setShowShortcuts(true),
+    };
+    actions[action]?.();
+  };
+
+  useEffect(() => desktop?.onMenu((action, arg) => menuRef.current?.(action, arg)), []);
   return (
     <div className="p-6 grid grid-cols-12 gap-4 min-h-screen bg-slate-50 containner-background">
       {/* Left: editor */}
@@ -487,7 +1471,7 @@ const canAddRegion = !!currentFile && duration > 0; // 음원 로드되어 ready
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".wav"
+                accept={`audio/*,${AUDIO_ACCEPT}`}
                 multiple
                 onChange={onPickFiles}
                 style={{ display: "none" }}
@@ -508,6 +1492,9 @@ const canAddRegion = !!currentFile && duration > 0; // 음원 로드되어 ready
                 {currentFile ? (
                   <span>
                     {currentFile.name} • {fmt(duration)}
+                    {fileErrors[fileKey(currentFile)] && (
+                      <span className="ml-2 text-sm text-red-600">{fileErrors[fileKey(currentFile)]}</span>
+                    )}
                   </span>
                 ) : (
                   <span>파일을 선택하세요</span>
@@ -516,6 +1503,10 @@ const canAddRegion = !!currentFile && duration > 0; // 음원 로드되어 ready
             </div>
 
             <div ref={containerRef} className="w-full rounded-xl overflow-hidden bg-white border" />
+            <div className="relative w-full rounded bg-white border">
+              <div ref={minimapRef} />
+              <MinimapOverlay rows={rows} duration={duration} view={view} onNavigate={navigateTo} />
+            </div>
 
             {/* <div className="flex items-center gap-2">
               <button onClick={() => wsRef.current?.playPause()}>재생/일시정지</button>
@@ -526,28 +1517,63 @@ const canAddRegion = !!currentFile && duration > 0; // 음원 로드되어 ready
             </div> */}
 
            <div className="grid grid-cols-[1fr_auto_1fr] items-center">
-             <div /> {/* 좌측 빈 칸 */}
+             <div className="flex items-center gap-1 text-sm text-slate-700">
+               <button className="play-button" onClick={() => zoomBy(1 / 1.5)} disabled={!duration} title="축소 (-)">－</button>
+               <input
+                 type="range"
+                 min={Math.log(MIN_PX_PER_SEC)}
+                 max={Math.log(MAX_PX_PER_SEC)}
+                 step={0.01}
+                 value={Math.log(pxPerSec)}
+                 onChange={(e) => zoomTo(Math.exp(parseFloat(e.target.value)))}
+                 disabled={!duration}
+                 className="w-[110px]"
+               />
+               <button className="play-button" onClick={() => zoomBy(1.5)} disabled={!duration} title="확대 (=)">＋</button>
+               <button className="normal-button" onClick={zoomFit} disabled={!duration} title="전체 보기 (0)">전체</button>
+               <span className="text-xs text-slate-500">{Math.round(pxPerSec)} px/s</span>
+             </div>
              <div className="flex justify-center gap-2">
                <button className="play-button" onClick={() => wsRef.current?.playPause()}>▶∥ </button>
-               <button className="play-button" onClick={() => wsRef.current?.stop()}>■</button>
+               <button className="play-button" onClick={stopPlayback}>■</button>
+               <PlaybackControls value={playback} onChange={setPlayback} />
              </div>
-             <div className="justify-self-end flex items-center gap-2">
-
+             <div className="justify-self-end flex items-center gap-2 flex-wrap justify-end">
+
+   <select value={snapMode} onChange={(e) => setSnapMode(e.target.value)} title="구간 경계 스냅">
+     {SNAP_MODES.map(([v, text]) => <option key={v} value={v}>{text}</option>)}
+   </select>
+   <AutoProposePanel value={vad} onChange={setVad} onRun={autoPropose} disabled={!canAddRegion || !audioBuffer} />
+   <button className="normal-button" onClick={undo} disabled={!curHistory?.past.length} title="되돌리기 (Ctrl+Z)">↶</button>
+   <button className="normal-button" onClick={redo} disabled={!curHistory?.future.length} title="다시 실행 (Ctrl+Shift+Z)">↷</button>
+   <button className="normal-button" onClick={() => setShowShortcuts(true)} title="단축키 보기 / 변경">단축키 ?</button>
    <button onClick={addRow} disabled={!canAddRegion} title={!canAddRegion ? "먼저 음원을 불러오세요" : ""}>
    구간 추가 </button>
              </div>
            </div>
 
-
+           <SpectrogramPanel value={spectro} onChange={setSpectro} />
+           <ExportSettingsPanel value={exportFmt} onChange={setExportFmt} />
+           <ProcessingPanel value={processing} onChange={setProcessing} />
+           <OutputDirPanel dirName={outDirName} onPick={chooseOutputDir} onClear={clearOutputDir} value={output} onChange={setOutput} />
+           <TaxonomyPanel value={taxonomy} onChange={setTaxonomy} />
+           <ConstraintsPanel value={constraints} onChange={setConstraints} />
+           <datalist id="label-taxonomy">
+             {taxonomy.labels.map((l) => <option key={l} value={l} />)}
+           </datalist>
           </div>
         </div>
 
         {/* Rows */}
         <div className="space-y-3">
           {rows.map((r, idx) => (
-            <div key={r.id} className="shadow-sm">
+            <div
+              key={r.id}
+              className={`shadow-sm transition-colors ${selectedRow?.id === r.id ? "ring-2 ring-indigo-400 rounded" : ""} ${playingRowId === r.id ? "bg-emerald-50" : ""}`}
+              onClick={() => setSelectedId(r.id)}
+            >
               <div className="p-3 grid grid-cols-12 gap-3 items-center">
-                <div className="col-span-1 text-center font-semibold">{idx + 1}</div>
+                <div className={`col-span-1 text-center font-semibold ${liveIssues.some((x) => x.rowId === r.id) ? "text-red-600" : ""}`}>{idx + 1}</div>
 
                 <div className="col-span-2 flex items-center gap-2">
                   <span className="text-sm text-slate-600">최대 길이</span>
@@ -569,8 +1595,11 @@ const canAddRegion = !!currentFile && duration > 0; // 음원 로드되어 ready
 
                 <div className="col-span-3 flex items-center gap-2">
                   <span className="text-sm text-slate-600">라벨링</span>
-                  <input className="pl-2"
+                  <input
+                    className={`pl-2 ${isLabelAllowed(r.label, taxonomy) ? "" : "border-red-500 bg-red-50"}`}
+                    list={taxonomy.labels.length ? "label-taxonomy" : undefined}
                     placeholder="ex) 살려주세요"
+                    title={isLabelAllowed(r.label, taxonomy) ? "" : "라벨 목록에 없는 라벨입니다"}
                     value={r.label}
                     onChange={(e) => updateRow(r.id, { label: e.target.value })}
                   />
@@ -587,17 +1616,35 @@ const canAddRegion = !!currentFile && duration > 0; // 음원 로드되어 ready
 
                 <div className="col-span-3 flex gap-2 justify-end">
                   <button className="normal-button" onClick={() => playRegion(r)}>구간 재생</button>
+                  {isProcessingActive(processing) && (
+                    <button className="normal-button" onClick={() => previewRow(r)} title="내보내기 처리 적용 결과 미리듣기 (다시 누르면 정지)">🎧</button>
+                  )}
                   <button className="normal-button" onClick={() => saveRow(r)}>저장</button>
                   <button className="normal-button"onClick={() => removeRow(r.id)}>삭제</button>
                 </div>
               </div>
+              {liveIssues.some((x) => x.rowId === r.id) && (
+                <ul className="px-4 pb-2 text-xs text-red-600 list-disc pl-10">
+                  {liveIssues.filter((x) => x.rowId === r.id).map((x, i) => <li key={i}>{x.message}</li>)}
+                </ul>
+              )}
             </div>
           ))}
         </div>
 
         {rows.length > 0 && (
           <div className="flex items-center justify-between p-2">
-            <button onClick={saveAll}>표시된 구간 전부 저장</button>
+            <button onClick={saveAll} title={outDirName ? "" : "출력 폴더가 없으면 ZIP 하나로 저장"}>표시된 구간 전부 저장</button>
+            <div className="flex items-center gap-2">
+              <button className="normal-button" onClick={() => exportZip("current")} disabled={!!task}>ZIP으로 저장</button>
+              <button className="normal-button" onClick={exportMarked} title="원본 전체 길이 WAV 에 구간을 cue 마커로 표시">전체 + 마커</button>
+              <button className="normal-button" onClick={() => exportManifest("current", "csv")}>매니페스트 CSV</button>
+              <button className="normal-button" onClick={() => exportManifest("current", "json")}>매니페스트 JSON</button>
+              <select className="text-sm" value="" onChange={(e) => e.target.value && exportLabels("current", e.target.value)} title="구간을 라벨 파일로 내보내기">
+                <option value="">라벨 파일…</option>
+                {Object.entries(LABEL_FORMATS).map(([id, f]) => <option key={id} value={id}>{f.label} (.{f.ext})</option>)}
+              </select>
+            </div>
             {/* <button onClick={nextFile}>작업완료&목록에서 제외</button> */}
             {/* <button className="font-weight-bold" onClick={completeAndNext}>현재 파일 작업완료 or 목록에서 제외</button> */}
           </div>
@@ -670,45 +1717,189 @@ const canAddRegion = !!currentFile && duration > 0; // 음원 로드되어 ready
       </div>
       <div className="flex gap-2">
         <button onClick={() => fileInputRef.current?.click()}>파일 불러오기</button>
-        <button onClick={() => folderInputRef.current?.click()}>폴더 불러오기</button>
+        <button onClick={() => (desktop ? openDesktopFolder() : folderInputRef.current?.click())}>폴더 불러오기</button>
       </div>
     </div>
+    <div className="px-3 py-2 border-b flex items-center justify-between text-sm">
+      <span className="text-slate-600">프로젝트</span>
+      <div className="flex gap-2">
+        <input
+          ref={projectInputRef}
+          type="file"
+          accept=".json"
+          onChange={importProject}
+          style={{ display: "none" }}
+        />
+        <button onClick={exportProject} disabled={!files.length && !Object.keys(fileStatus).length}>저장</button>
+        <button onClick={() => setShowStorage(true)} title="브라우저에 저장된 구간 목록 / 내보내기 / 삭제">저장소</button>
+        <button onClick={() => (desktop ? openDesktopProject() : projectInputRef.current?.click())}>열기</button>
+      </div>
+    </div>
+    <div className="px-3 py-2 border-b flex items-center justify-between text-sm">
+      <span className="text-slate-600" title="Audacity 라벨(.txt) / Praat TextGrid / CSV(file,start,end,label)">기존 라벨</span>
+      <input
+        ref={annotationInputRef}
+        type="file"
+        accept={ANNOTATION_ACCEPT}
+        multiple
+        onChange={importAnnotations}
+        style={{ display: "none" }}
+      />
+      <button onClick={() => annotationInputRef.current?.click()} disabled={!files.length} title={!files.length ? "먼저 음원을 불러오세요" : "파일 이름으로 음원에 연결"}>가져오기</button>
+    </div>
+    {desktop && recent.length > 0 && (
+      <div className="px-3 py-2 border-b flex items-center gap-2 text-sm">
+        <span className="text-slate-600 shrink-0">최근</span>
+        <select className="flex-1 min-w-0" value="" onChange={(e) => openRecent(e.target.value)}>
+          <option value="">폴더 / 프로젝트 다시 열기…</option>
+          {recent.map((x) => (
+            <option key={x.path} value={x.path} title={x.path}>{x.kind === "project" ? "📄" : "📁"} {x.name}</option>
+          ))}
+        </select>
+      </div>
+    )}
+    {files.length > 0 && (
+      <div className="px-3 py-2 border-b space-y-2 text-sm">
+        <div className="flex items-center justify-between">
+          <span className="text-slate-600">전체 매니페스트</span>
+          <div className="flex gap-2">
+            <button onClick={() => exportManifest("all", "csv")}>CSV</button>
+            <button onClick={() => exportManifest("all", "json")}>JSON</button>
+          </div>
+        </div>
+        <div className="flex items-center justify-between">
+          <span className="text-slate-600">전체 라벨</span>
+          <div className="flex gap-2">
+            {Object.entries(LABEL_FORMATS).map(([id, f]) => (
+              <button key={id} onClick={() => exportLabels("all", id)} title={`.${f.ext}`}>{f.label}</button>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-center justify-between">
+          <label className="flex items-center gap-1 text-slate-600">
+            <input type="checkbox" checked={zipByLabel} onChange={(e) => setZipByLabel(e.target.checked)} />
+            라벨별 폴더
+          </label>
+          <button onClick={() => exportZip("all")} disabled={!!task}>전체 ZIP</button>
+        </div>
+      </div>
+    )}
+
+    {files.length > 0 && (
+      <FileListToolbar
+        total={files.length}
+        counts={statusCounts}
+        filter={listFilter}
+        onFilter={setListFilter}
+        query={listQuery}
+        onQuery={setListQuery}
+      />
+    )}
 
     <div className="p-3 space-y-2">
       <div className="divide-y">
-        {files.map((f, i) => (
+        {files.map((f, i) => {
+          const st = statusInfo(fileStatus[relPath(f)]);
+          if (!listVisible(f, st.id)) return null;
+          return (
           <div
             key={i}
             className={`p-2 cursor-pointer hover:bg-neutral-300 rounded ${
               i === current ? "bg-indigo-200 text-blue" : ""
             }`}
-            onClick={() => {
-              persistCurrent();
-              isRestoringRef.current = true;
-              setCurrent(i);
-              requestAnimationFrame(() => { isRestoringRef.current = false; });
-            }}
+            onClick={() => selectFile(i)}
           >
-            <div className="text-sm truncate">{f.name}</div>
+            <div className="flex items-center gap-2">
+              <span className={`text-[10px] px-1 rounded shrink-0 ${st.badge}`}>{st.label}</span>
+              <div className={`text-sm truncate flex-1 ${st.id === "done" || st.id === "skipped" ? "text-slate-500" : ""}`}>{f.name}</div>
+              {(st.id === "done" || st.id === "skipped") && (
+                <button
+                  className="text-[10px] px-1"
+                  title="진행 중으로 되돌리기"
+                  onClick={(e) => { e.stopPropagation(); setStatusOf(f, "progress"); }}
+                >
+                  ↺
+                </button>
+              )}
+            </div>
+            {fileErrors[fileKey(f)] && (
+              <div className="text-[11px] text-red-600 truncate" title={fileErrors[fileKey(f)]}>{fileErrors[fileKey(f)]}</div>
+            )}
           </div>
-        ))}
+          );
+        })}
       </div>
+      {skipped.length > 0 && (
+        <details className="text-xs text-slate-600">
+          <summary className="cursor-pointer text-amber-700">
+            불러오지 않은 파일 {skipped.length}개
+            <button className="ml-2 text-[10px] px-1" onClick={() => setSkipped([])}>닫기</button>
+          </summary>
+          <ul className="max-h-40 overflow-auto pl-4 list-disc">
+            {skipped.map((x) => (
+              <li key={x.path} className="truncate" title={x.path}>{x.path} - {x.reason}</li>
+            ))}
+          </ul>
+        </details>
+      )}
     </div>
   </div>
 
   {/* 고정 버튼 */}
-  {rows.length > 0 && (
-    <div className="absolute bottom-0 left-0 w-full p-2 bg-white border-t shadow">
+  {currentFile && (
+    <div className="absolute bottom-0 left-0 w-full p-2 bg-white border-t shadow flex gap-2">
       <button
-        className="font-weight-bold w-full"
+        className="font-weight-bold flex-1"
         onClick={completeAndNext}
       >
-        현재 파일 작업완료 or 목록에서 제외
+        현재 파일 작업완료 → 다음
       </button>
+      <button className="normal-button" onClick={skipCurrentFile}>건너뛰기</button>
     </div>
   )}
 </div>
 
+      {validation && (
+        <ValidationDialog
+          issues={validation.issues}
+          onFix={() => setValidation(null)}
+          onProceed={() => {
+            const { onProceed } = validation;
+            setValidation(null);
+            setShowIssues(false);
+            onProceed();
+          }}
+        />
+      )}
+      {projectReport && <ProjectReport report={projectReport} onClose={() => setProjectReport(null)} />}
+      {importReport && <ImportReport report={importReport} onClose={() => setImportReport(null)} />}
+      {showStorage && <StorageManager currentKey={fileKey(files[current])} onPurge={purgeStored} onClose={() => setShowStorage(false)} />}
+      {task && (
+        <div className="fixed bottom-4 right-4 z-50 w-[320px] rounded-lg border border-slate-300 bg-white px-4 py-3 text-sm text-slate-700 shadow-lg space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <span className="truncate">{task.label}</span>
+            <button className="normal-button" onClick={cancelTask}>취소</button>
+          </div>
+          <div className="h-2 rounded bg-slate-200 overflow-hidden">
+            <div className="h-full bg-indigo-500 transition-all" style={{ width: `${task.total ? (task.done / task.total) * 100 : 0}%` }} />
+          </div>
+          <div className="text-xs text-slate-500">{task.done} / {task.total}</div>
+        </div>
+      )}
+
+      {storageError && (
+        <div className="fixed bottom-4 left-4 z-50 max-w-[520px] rounded-lg border border-red-300 bg-red-50 px-4 py-3 text-sm text-red-700 shadow-lg flex items-start gap-3">
+          <div>
+            <div className="font-semibold">구간 저장 실패 - 새로고침하면 최근 작업이 사라질 수 있습니다.</div>
+            <div>{storageError}</div>
+            <div className="text-xs mt-1">프로젝트 &gt; 저장으로 파일에 보관하거나, 저장소 관리에서 오래된 항목을 지워 주세요.</div>
+          </div>
+          <button className="normal-button" onClick={() => setStorageError("")}>닫기</button>
+        </div>
+      )}
+      {showShortcuts && (
+        <ShortcutHelp bindings={bindings} onChange={setBindings} onClose={() => setShowShortcuts(false)} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,36 @@
+import React from "react";
+import NumberInput from "./NumberInput.jsx";
+
+// 에너지/ZCR 기반 자동 구간 제안 설정 + 실행 버튼
+export default function AutoProposePanel({ value, onChange, onRun, disabled }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  return (
+    <div className="flex items-center gap-2 text-sm text-slate-700">
+      <label className="flex items-center gap-1" title="잡음 바닥 대비 이 값(dB) 이상이면 이벤트로 판단">
+        임계값
+        <NumberInput
+          min={3}
+          max={40}
+          step={1}
+          value={value.thresholdDb}
+          onChange={(v) => set({ thresholdDb: v })}
+          className="pl-1 w-[52px]"
+        />
+        dB
+      </label>
+      <label className="flex items-center gap-1" title="이보다 짧은 무음 간격은 하나의 이벤트로 합침">
+        최소 간격
+        <NumberInput
+          min={0}
+          max={5}
+          step={0.05}
+          value={value.minGap}
+          onChange={(v) => set({ minGap: v })}
+          className="pl-1 w-[56px]"
+        />
+        초
+      </label>
+      <button onClick={onRun} disabled={disabled}>자동 제안</button>
+    </div>
+  );
+}
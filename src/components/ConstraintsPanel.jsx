@@ -0,0 +1,53 @@
+import React, { useState } from "react";
+import { DEFAULT_CONSTRAINTS, validateConstraints } from "../lib/constraints.js";
+
+const FIELDS = [
+  ["minLen", "최소 길이(초)", 0.1],
+  ["maxLen", "최대 길이(초)", 0.1],
+  ["defaultLen", "기본 길이(초)", 0.1],
+  ["maxRegions", "최대 구간 수", 1],
+];
+
+// 구간 길이 / 개수 제한 설정 (검증 후 적용)
+export default function ConstraintsPanel({ value, onChange }) {
+  const [draft, setDraft] = useState(value);
+  const [errors, setErrors] = useState([]);
+
+  const apply = (next) => {
+    const { value: v, errors: errs } = validateConstraints(next);
+    setErrors(errs);
+    if (!errs.length) onChange(v);
+  };
+
+  return (
+    <details className="text-sm text-slate-700" onToggle={() => { setDraft(value); setErrors([]); }}>
+      <summary className="cursor-pointer font-semibold">
+        구간 제한{" "}
+        <span className="text-xs text-slate-500">
+          ({value.minLen}~{value.maxLen}초, 최대 {value.maxRegions}개)
+        </span>
+      </summary>
+      <div className="mt-2 flex items-end gap-3 flex-wrap">
+        {FIELDS.map(([k, label, step]) => (
+          <label key={k} className="flex flex-col">
+            <span className="text-xs text-slate-500">{label}</span>
+            <input
+              type="number"
+              step={step}
+              value={draft[k]}
+              onChange={(e) => setDraft({ ...draft, [k]: e.target.value })}
+              className="pl-1 w-[80px]"
+            />
+          </label>
+        ))}
+        <button className="normal-button" onClick={() => apply(draft)}>적용</button>
+        <button className="normal-button" onClick={() => { setDraft(DEFAULT_CONSTRAINTS); apply(DEFAULT_CONSTRAINTS); }}>기본값</button>
+      </div>
+      {errors.length > 0 && (
+        <ul className="mt-1 text-xs text-red-600 list-disc pl-5">
+          {errors.map((e) => <li key={e}>{e}</li>)}
+        </ul>
+      )}
+    </details>
+  );
+}
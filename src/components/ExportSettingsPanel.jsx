@@ -0,0 +1,54 @@
+import React from "react";
+import { BIT_DEPTH_OPTIONS, SAMPLE_RATE_OPTIONS } from "../lib/exportFormat.js";
+
+const CHANNEL_OPTIONS = [
+  ["keep", "원본 유지"],
+  ["mono", "모노 다운믹스"],
+  ["ch0", "1번 채널(L)"],
+  ["ch1", "2번 채널(R)"],
+];
+
+// 내보내기 WAV 포맷 설정 (샘플레이트 / 비트 / 채널)
+export default function ExportSettingsPanel({ value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  return (
+    <div className="flex items-center gap-3 flex-wrap text-sm text-slate-700">
+      <span className="font-semibold">내보내기 포맷</span>
+      <label className="flex items-center gap-1">
+        샘플레이트
+        <select value={value.sampleRate} onChange={(e) => set({ sampleRate: Number(e.target.value) })}>
+          {SAMPLE_RATE_OPTIONS.map((sr) => (
+            <option key={sr} value={sr}>{sr ? `${sr} Hz` : "원본"}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        비트
+        <select
+          value={String(value.bitDepth)}
+          onChange={(e) => set({ bitDepth: e.target.value === "32f" ? "32f" : Number(e.target.value) })}
+        >
+          {BIT_DEPTH_OPTIONS.map((b) => (
+            <option key={b} value={String(b)}>{b === "32f" ? "32-bit float" : `${b}-bit`}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        채널
+        <select value={value.channels} onChange={(e) => set({ channels: e.target.value })}>
+          {CHANNEL_OPTIONS.map(([v, text]) => (
+            <option key={v} value={v}>{text}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1" title="라벨 / 원본 파일 / 원본 위치 / 도구 버전 / 내보낸 시각을 LIST/INFO chunk 에 기록">
+        <input type="checkbox" checked={value.info} onChange={(e) => set({ info: e.target.checked })} />
+        INFO 메타데이터
+      </label>
+      <label className="flex items-center gap-1" title="방송용 WAV(BWF) bext chunk - 설명 / 원본 / 시작 위치(TimeReference)">
+        <input type="checkbox" checked={value.bext} onChange={(e) => set({ bext: e.target.checked })} />
+        BWF bext
+      </label>
+    </div>
+  );
+}
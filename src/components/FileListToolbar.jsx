@@ -0,0 +1,38 @@
+import React from "react";
+import { FILE_STATUSES } from "../lib/status.js";
+
+// 불러온 목록 상단: 상태별 개수 + 진행률 + 상태 필터 + 이름/라벨 검색
+export default function FileListToolbar({ total, counts, filter, onFilter, query, onQuery }) {
+  const finished = counts.done + counts.skipped;
+  const pct = total ? Math.round((finished / total) * 100) : 0;
+  return (
+    <div className="px-3 py-2 border-b space-y-2 text-sm">
+      <div className="flex items-center gap-2">
+        <div className="flex-1 h-2 rounded bg-slate-200 overflow-hidden">
+          <div className="h-full bg-green-500" style={{ width: `${pct}%` }} />
+        </div>
+        <span className="text-xs text-slate-600">{finished}/{total} ({pct}%)</span>
+      </div>
+      <div className="flex flex-wrap gap-1 text-xs">
+        <button className={`px-1 ${filter === "all" ? "ring-2 ring-indigo-400" : ""}`} onClick={() => onFilter("all")}>
+          전체 {total}
+        </button>
+        {FILE_STATUSES.map((s) => (
+          <button
+            key={s.id}
+            className={`px-1 ${filter === s.id ? "ring-2 ring-indigo-400" : ""}`}
+            onClick={() => onFilter(s.id)}
+          >
+            {s.label} {counts[s.id]}
+          </button>
+        ))}
+      </div>
+      <input
+        className="w-full pl-2"
+        placeholder="파일명 / 라벨 검색"
+        value={query}
+        onChange={(e) => onQuery(e.target.value)}
+      />
+    </div>
+  );
+}
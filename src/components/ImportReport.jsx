@@ -0,0 +1,54 @@
+import React from "react";
+
+// 라벨 가져오기 결과 (파일별 적용 / 조정 / 적용 못한 구간)
+export default function ImportReport({ report, onClose }) {
+  const skippedTotal = report.files.reduce((n, f) => n + f.issues.filter((x) => !x.applied).length, 0);
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-lg p-4 w-[620px] max-h-[85vh] overflow-auto text-slate-800 space-y-3 text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">라벨 가져오기 결과</h2>
+          <button className="normal-button" onClick={onClose}>닫기</button>
+        </div>
+        <div>
+          적용한 파일 <b>{report.files.length}</b>개, 구간 <b>{report.files.reduce((n, f) => n + f.applied, 0)}</b>개
+          {skippedTotal > 0 && <span className="text-red-600"> / 적용 못한 구간 {skippedTotal}개</span>}
+          {report.mode === "append" && <span className="text-slate-500"> (기존 구간 뒤에 추가)</span>}
+        </div>
+        {report.files.map((f) => (
+          <div key={f.path}>
+            <div className="font-semibold truncate" title={f.path}>
+              {f.path} <span className="font-normal text-slate-500">- {f.applied}개 적용 ({f.sources.join(", ")})</span>
+            </div>
+            {(f.issues.length > 0 || f.notes.length > 0) && (
+              <ul className="text-xs list-disc pl-5 max-h-32 overflow-auto">
+                {f.issues.map((x, i) => (
+                  <li key={i} className={x.applied ? "text-amber-600" : "text-red-600"}>
+                    {x.where}: {x.message}
+                  </li>
+                ))}
+                {f.notes.map((n) => <li key={n} className="text-slate-500">{n}</li>)}
+              </ul>
+            )}
+          </div>
+        ))}
+        {report.unmatched.length > 0 && (
+          <div>
+            <div className="font-semibold text-red-600">연결할 음원을 찾지 못함 ({report.unmatched.length})</div>
+            <ul className="max-h-32 overflow-auto text-xs text-slate-600 list-disc pl-5">
+              {report.unmatched.map((p) => <li key={p} className="truncate">{p}</li>)}
+            </ul>
+          </div>
+        )}
+        {report.errors.length > 0 && (
+          <div>
+            <div className="font-semibold text-red-600">읽지 못한 파일 ({report.errors.length})</div>
+            <ul className="text-xs text-slate-600 list-disc pl-5">
+              {report.errors.map((p) => <li key={p}>{p}</li>)}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
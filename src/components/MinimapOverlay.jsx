@@ -0,0 +1,47 @@
+import React, { useRef } from "react";
+
+// 미니맵 위에 그리는 구간 색상 막대 + 드래그 가능한 현재 화면(viewport) 사각형
+export default function MinimapOverlay({ rows, duration, view, onNavigate }) {
+  const boxRef = useRef(null);
+  const draggingRef = useRef(false);
+  if (!duration) return null;
+
+  const pct = (t) => `${(Math.max(0, Math.min(duration, t)) / duration) * 100}%`;
+  const timeAt = (e) => {
+    const rect = boxRef.current.getBoundingClientRect();
+    return ((e.clientX - rect.left) / rect.width) * duration;
+  };
+
+  const onPointerDown = (e) => {
+    draggingRef.current = true;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    onNavigate(timeAt(e));
+  };
+  const onPointerMove = (e) => {
+    if (draggingRef.current) onNavigate(timeAt(e));
+  };
+  const onPointerUp = () => { draggingRef.current = false; };
+
+  return (
+    <div
+      ref={boxRef}
+      className="absolute inset-0 z-10 cursor-grab"
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerCancel={onPointerUp}
+    >
+      {rows.map((r) => (
+        <div
+          key={r.id}
+          className="absolute top-0 bottom-0 pointer-events-none"
+          style={{ left: pct(r.start), width: `calc(${pct(Math.min(r.end, r.start + r.maxLen))} - ${pct(r.start)})`, backgroundColor: r.color }}
+        />
+      ))}
+      <div
+        className="absolute top-0 bottom-0 border-2 border-indigo-500 bg-indigo-500/10 rounded-sm pointer-events-none"
+        style={{ left: pct(view.start), width: `calc(${pct(view.end)} - ${pct(view.start)})` }}
+      />
+    </div>
+  );
+}
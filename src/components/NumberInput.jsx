@@ -0,0 +1,28 @@
+import React, { useEffect, useState } from "react";
+
+// 숫자 입력: 입력 중에는 글자 그대로 두고 ("-" 처럼 아직 숫자가 아닌 값 포함)
+// 칸을 벗어나거나 Enter 를 누를 때 [min, max] 로 맞춰 반영. 숫자가 아니면 이전 값으로
+export default function NumberInput({ value, min, max, onChange, ...rest }) {
+  const [draft, setDraft] = useState(String(value));
+  useEffect(() => setDraft(String(value)), [value]);
+
+  const commit = () => {
+    const n = parseFloat(draft);
+    const next = Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : value;
+    setDraft(String(next));
+    if (next !== value) onChange(next);
+  };
+
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+      {...rest}
+    />
+  );
+}
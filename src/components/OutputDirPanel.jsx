@@ -0,0 +1,37 @@
+import React from "react";
+import { COLLISION_OPTIONS, supportsOutputDir } from "../lib/outputDir.js";
+
+// 출력 폴더 선택 + 하위 폴더 구성 + 같은 이름 처리
+export default function OutputDirPanel({ dirName, onPick, onClear, value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  if (!supportsOutputDir()) {
+    return <div className="text-xs text-slate-500">이 브라우저는 폴더 직접 저장을 지원하지 않아 다운로드 폴더로 저장됩니다.</div>;
+  }
+  return (
+    <div className="flex items-center gap-3 flex-wrap text-sm text-slate-700">
+      <span className="font-semibold">출력 폴더</span>
+      <button className="normal-button" onClick={onPick}>{dirName ? `📁 ${dirName}` : "폴더 선택"}</button>
+      {dirName ? (
+        <>
+          <button className="normal-button" onClick={onClear} title="다운로드로 저장">해제</button>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={value.byLabel} onChange={(e) => set({ byLabel: e.target.checked })} />
+            라벨별
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={value.bySource} onChange={(e) => set({ bySource: e.target.checked })} />
+            원본 폴더별
+          </label>
+          <label className="flex items-center gap-1">
+            같은 이름
+            <select value={value.collision} onChange={(e) => set({ collision: e.target.value })}>
+              {COLLISION_OPTIONS.map(([v, text]) => <option key={v} value={v}>{text}</option>)}
+            </select>
+          </label>
+        </>
+      ) : (
+        <span className="text-xs text-slate-500">(선택 전에는 다운로드 폴더로 저장)</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from "react";
+import { MAX_ROLL, PLAYBACK_RATES } from "../lib/playback.js";
+
+const roll = (v) => Math.min(MAX_ROLL, Math.max(0, parseFloat(v) || 0));
+
+// 반복 / 속도 / 앞뒤 여유 / 볼륨 / 따라가기
+export default function PlaybackControls({ value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  return (
+    <div className="flex items-center gap-2 text-sm text-slate-700 flex-wrap">
+      <button
+        className={`play-button ${value.loop ? "ring-2 ring-blue-500" : ""}`}
+        aria-pressed={value.loop}
+        onClick={() => set({ loop: !value.loop })}
+        title="구간 재생 반복 (L)"
+      >
+        🔁
+      </button>
+      <select value={value.rate} onChange={(e) => set({ rate: Number(e.target.value) })} title="재생 속도 (음높이 유지)">
+        {PLAYBACK_RATES.map((r) => <option key={r} value={r}>{r}×</option>)}
+      </select>
+      <label className="flex items-center gap-1" title="구간 재생 때 앞 / 뒤로 더 들을 시간">
+        여유
+        <input type="number" min={0} max={MAX_ROLL} step={0.1} value={value.preRoll} onChange={(e) => set({ preRoll: roll(e.target.value) })} className="pl-1 w-[48px]" />
+        /
+        <input type="number" min={0} max={MAX_ROLL} step={0.1} value={value.postRoll} onChange={(e) => set({ postRoll: roll(e.target.value) })} className="pl-1 w-[48px]" />
+        초
+      </label>
+      <label className="flex items-center gap-1" title="볼륨">
+        🔊
+        <input type="range" min={0} max={1} step={0.05} value={value.volume} onChange={(e) => set({ volume: Number(e.target.value) })} className="w-[70px]" />
+      </label>
+      <label className="flex items-center gap-1" title="재생 위치를 따라 화면 스크롤">
+        <input type="checkbox" checked={value.follow} onChange={(e) => set({ follow: e.target.checked })} />
+        따라가기
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React from "react";
+import { DEFAULT_PROCESSING, NORMALIZE_MODES, PAD_MODES, isProcessingActive } from "../lib/processing.js";
+import NumberInput from "./NumberInput.jsx";
+
+// 요약 문구 (접힌 상태에서 보임)
+const summary = (p) => {
+  if (!isProcessingActive(p)) return "사용 안 함";
+  const parts = [];
+  if (p.trimSilence) parts.push("무음 제거");
+  if (p.padBefore > 0 || p.padAfter > 0) parts.push(`여백 ${p.padBefore}/${p.padAfter}초`);
+  if (p.normalize !== "none") parts.push(`${NORMALIZE_MODES.find(([v]) => v === p.normalize)?.[1]} ${p.targetDb}`);
+  if (p.fadeIn > 0 || p.fadeOut > 0) parts.push(`페이드 ${p.fadeIn}/${p.fadeOut}ms`);
+  return parts.join(", ");
+};
+
+// 내보내기 후처리 설정 (저장 / 전부 저장 / ZIP 에 공통 적용)
+export default function ProcessingPanel({ value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  const field = (key, label, step, min, max, unit) => (
+    <label className="flex items-center gap-1">
+      {label}
+      <NumberInput
+        step={step}
+        min={min}
+        max={max}
+        value={value[key]}
+        onChange={(v) => set({ [key]: v })}
+        className="pl-1 w-[64px]"
+      />
+      {unit}
+    </label>
+  );
+
+  return (
+    <details className="text-sm text-slate-700">
+      <summary className="cursor-pointer font-semibold">
+        내보내기 처리 <span className="text-xs text-slate-500">({summary(value)})</span>
+      </summary>
+      <div className="mt-2 space-y-2">
+        <div className="flex items-center gap-3 flex-wrap">
+          {field("padBefore", "앞 여백", 0.05, 0, 10, "초")}
+          {field("padAfter", "뒤 여백", 0.05, 0, 10, "초")}
+          <select value={value.padMode} onChange={(e) => set({ padMode: e.target.value })} title="여백을 원본 앞뒤 소리로 채울지 무음으로 채울지">
+            {PAD_MODES.map(([v, text]) => <option key={v} value={v}>{text}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-3 flex-wrap">
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={value.trimSilence} onChange={(e) => set({ trimSilence: e.target.checked })} />
+            앞뒤 무음 잘라내기
+          </label>
+          {value.trimSilence && field("trimThresholdDb", "기준", 1, -90, -10, "dBFS")}
+        </div>
+        <div className="flex items-center gap-3 flex-wrap">
+          <label className="flex items-center gap-1">
+            정규화
+            <select
+              value={value.normalize}
+              onChange={(e) => {
+                const mode = NORMALIZE_MODES.find(([v]) => v === e.target.value);
+                set({ normalize: mode[0], ...(mode[2] != null ? { targetDb: mode[2] } : {}) });
+              }}
+            >
+              {NORMALIZE_MODES.map(([v, text]) => <option key={v} value={v}>{text}</option>)}
+            </select>
+          </label>
+          {value.normalize !== "none" && field("targetDb", "목표", 0.5, -60, 0, value.normalize === "lufs" ? "LUFS" : "dBFS")}
+        </div>
+        <div className="flex items-center gap-3 flex-wrap">
+          {field("fadeIn", "페이드 인", 1, 0, 1000, "ms")}
+          {field("fadeOut", "페이드 아웃", 1, 0, 1000, "ms")}
+          <button className="normal-button" onClick={() => onChange(DEFAULT_PROCESSING)}>기본값</button>
+        </div>
+        <div className="text-xs text-slate-500">정규화 후 피크가 0 dBFS 를 넘지 않도록 게인이 제한됩니다. 구간 목록의 🎧 로 처리 결과를 미리 들을 수 있습니다.</div>
+      </div>
+    </details>
+  );
+}
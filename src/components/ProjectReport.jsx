@@ -0,0 +1,34 @@
+import React from "react";
+
+const List = ({ title, items, tone }) =>
+  items.length > 0 && (
+    <div>
+      <div className={`font-semibold ${tone}`}>{title} ({items.length})</div>
+      <ul className="max-h-32 overflow-auto text-xs text-slate-600 list-disc pl-5">
+        {items.map((p) => <li key={p} className="truncate">{p}</li>)}
+      </ul>
+    </div>
+  );
+
+// 프로젝트 가져오기 결과 (연결 / 변경 / 누락 파일)
+export default function ProjectReport({ report, onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-lg p-4 w-[520px] max-h-[85vh] overflow-auto text-slate-800 space-y-3 text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">프로젝트 연결 결과</h2>
+          <button className="normal-button" onClick={onClose}>닫기</button>
+        </div>
+        <div>구간이 연결된 파일: <b>{report.matched}</b>개</div>
+        {report.waiting > 0 && (
+          <div className="text-indigo-700">
+            아직 연결되지 않은 항목 {report.waiting}개 - 음원 폴더를 불러오면 상대경로로 자동 연결됩니다.
+          </div>
+        )}
+        <List title="내용이 바뀐 파일 (크기/수정시각 다름)" items={report.changed} tone="text-amber-600" />
+        <List title="찾지 못한 파일" items={report.missing} tone="text-red-600" />
+        <List title="프로젝트에 없는 파일" items={report.extra} tone="text-slate-600" />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from "react";
+import { SHORTCUT_ACTIONS, comboLabel, defaultBindings, eventToCombo } from "../lib/shortcuts.js";
+
+// 단축키 목록 + 재지정 (버튼 누른 뒤 원하는 키 입력)
+export default function ShortcutHelp({ bindings, onChange, onClose }) {
+  const [capturing, setCapturing] = useState(null); // action id
+
+  useEffect(() => {
+    if (!capturing) return;
+    const onKey = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code === "Escape") {
+        setCapturing(null);
+        return;
+      }
+      const combo = eventToCombo(e);
+      if (!combo) return; // 수정키만 누른 경우 계속 대기
+      // 같은 조합을 쓰던 다른 동작은 해제
+      const next = { ...bindings };
+      Object.keys(next).forEach((id) => { if (next[id] === combo) next[id] = ""; });
+      next[capturing] = combo;
+      onChange(next);
+      setCapturing(null);
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [capturing, bindings, onChange]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-lg p-4 w-[460px] max-h-[85vh] overflow-auto text-slate-800" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-lg font-semibold">단축키</h2>
+          <button className="normal-button" onClick={onClose}>닫기</button>
+        </div>
+        <table className="w-full text-sm">
+          <tbody>
+            {SHORTCUT_ACTIONS.map((a) => (
+              <tr key={a.id} className="border-b">
+                <td className="py-1">{a.label}</td>
+                <td className="py-1 text-right">
+                  <button
+                    className="normal-button"
+                    title="클릭 후 새 키 입력 (Esc 취소)"
+                    onClick={() => setCapturing(a.id)}
+                  >
+                    {capturing === a.id ? "키 입력…" : comboLabel(bindings[a.id]) || "없음"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+            <tr>
+              <td className="py-1">구간 번호로 이동</td>
+              <td className="py-1 text-right text-slate-600">1 ~ 9</td>
+            </tr>
+          </tbody>
+        </table>
+        <div className="mt-3 text-right">
+          <button className="normal-button" onClick={() => onChange(defaultBindings())}>기본값으로</button>
+        </div>
+      </div>
+    </div>
+  );
+}
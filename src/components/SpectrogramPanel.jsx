@@ -0,0 +1,37 @@
+import React from "react";
+import { COLOR_MAP_NAMES, FFT_SIZES, SPECTRO_SCALES } from "../lib/spectrogram.js";
+
+// 스펙트로그램 켜기/끄기 + FFT 크기 / 색상표 / 주파수 축
+export default function SpectrogramPanel({ value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  return (
+    <div className="flex items-center gap-3 flex-wrap text-sm text-slate-700">
+      <label className="flex items-center gap-1 font-semibold">
+        <input type="checkbox" checked={value.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+        스펙트로그램
+      </label>
+      {value.enabled && (
+        <>
+          <label className="flex items-center gap-1">
+            FFT
+            <select value={value.fftSamples} onChange={(e) => set({ fftSamples: Number(e.target.value) })}>
+              {FFT_SIZES.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            색상
+            <select value={value.colorMap} onChange={(e) => set({ colorMap: e.target.value })}>
+              {COLOR_MAP_NAMES.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            주파수 축
+            <select value={value.scale} onChange={(e) => set({ scale: e.target.value })}>
+              {SPECTRO_SCALES.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { listRows } from "../lib/rowStore.js";
+import { buildProject } from "../lib/project.js";
+import { downloadBlob } from "../lib/files.js";
+
+const fmtDate = (t) => (t ? new Date(t).toLocaleString() : "-");
+
+// 브라우저에 저장된 구간 목록 - 파일 / 날짜로 골라 내보내기(프로젝트 파일) / 지우기
+export default function StorageManager({ currentKey, onPurge, onClose }) {
+  const [records, setRecords] = useState(null);
+  const [error, setError] = useState("");
+  const [query, setQuery] = useState("");
+  const [before, setBefore] = useState(""); // yyyy-mm-dd, 이 날짜 이전에 수정된 것만
+  const [selected, setSelected] = useState(() => new Set());
+
+  const reload = () =>
+    listRows()
+      .then((all) => setRecords(all.sort((a, b) => b.updatedAt - a.updatedAt)))
+      .catch((e) => setError(e.message || String(e)));
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const limit = before ? new Date(`${before}T00:00:00`).getTime() : Infinity;
+    return (records || []).filter((r) => (!q || r.path.toLowerCase().includes(q)) && r.updatedAt < limit);
+  }, [records, query, before]);
+
+  const picked = visible.filter((r) => selected.has(r.key));
+  const toggle = (key) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  const selectAll = (on) => setSelected(on ? new Set(visible.map((r) => r.key)) : new Set());
+
+  // 프로젝트 파일 형식이라 "프로젝트 열기"로 다시 불러올 수 있음
+  const exportPicked = () => {
+    const entries = picked.map((r) => ({
+      path: r.path,
+      file: { name: r.path.split("/").pop(), size: r.size, lastModified: r.lastModified },
+      rows: r.rows,
+      status: "progress",
+    }));
+    const project = buildProject({ entries });
+    downloadBlob(new Blob([JSON.stringify(project, null, 2)], { type: "application/json" }), "cached-annotations.wavseg.json");
+  };
+
+  const purgePicked = async () => {
+    // 열려 있는 파일은 편집 중이라 지워도 곧 다시 저장되므로 제외
+    const keys = picked.map((r) => r.key).filter((k) => k !== currentKey);
+    const note = keys.length < picked.length ? "\n(열려 있는 파일은 제외)" : "";
+    if (!keys.length || !confirm(`저장된 구간 ${keys.length}개 파일 분을 지웁니다. 되돌릴 수 없습니다.${note}`)) return;
+    try {
+      await onPurge(keys);
+      setSelected(new Set());
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+    reload();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-lg p-4 w-[720px] max-h-[85vh] flex flex-col text-slate-800 space-y-3 text-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold">저장된 구간 관리</h2>
+          <button className="normal-button" onClick={onClose}>닫기</button>
+        </div>
+        {error && <div className="text-red-600">{error}</div>}
+        <div className="flex items-center gap-2 flex-wrap">
+          <input className="border rounded px-2 py-1 flex-1 min-w-[160px]" placeholder="파일 경로 검색" value={query} onChange={(e) => setQuery(e.target.value)} />
+          <label className="flex items-center gap-1">
+            수정일
+            <input type="date" className="border rounded px-1" value={before} onChange={(e) => setBefore(e.target.value)} />
+            이전
+          </label>
+          {before && <button className="normal-button" onClick={() => setBefore("")}>날짜 해제</button>}
+        </div>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={picked.length > 0 && picked.length === visible.length} onChange={(e) => selectAll(e.target.checked)} />
+            전체 선택
+          </label>
+          <span className="text-slate-500">{records ? `${visible.length} / ${records.length}개 파일` : "불러오는 중…"}</span>
+          <div className="ml-auto flex gap-2">
+            <button className="normal-button" onClick={exportPicked} disabled={!picked.length}>선택 내보내기 ({picked.length})</button>
+            <button className="normal-button text-red-600" onClick={purgePicked} disabled={!picked.length}>선택 삭제</button>
+          </div>
+        </div>
+        <div className="overflow-auto border rounded flex-1">
+          <table className="w-full text-xs">
+            <thead className="bg-slate-100 sticky top-0">
+              <tr>
+                <th className="w-8" />
+                <th className="text-left p-1">파일</th>
+                <th className="text-right p-1">구간</th>
+                <th className="text-left p-1">수정</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((r) => (
+                <tr key={r.key} className="border-t">
+                  <td className="text-center">
+                    <input type="checkbox" checked={selected.has(r.key)} onChange={() => toggle(r.key)} />
+                  </td>
+                  <td className="p-1 truncate max-w-[380px]" title={r.path}>{r.path}{r.key === currentKey && <span className="text-indigo-600"> (열림)</span>}</td>
+                  <td className="p-1 text-right">{r.count}</td>
+                  <td className="p-1 whitespace-nowrap">{fmtDate(r.updatedAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
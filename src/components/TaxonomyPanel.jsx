@@ -0,0 +1,69 @@
+import React, { useRef, useState } from "react";
+import { parseTaxonomy } from "../lib/taxonomy.js";
+
+// 라벨 목록 정의 / 가져오기 + 자유 입력 허용 토글
+export default function TaxonomyPanel({ value, onChange }) {
+  const importRef = useRef(null);
+  const [error, setError] = useState(""); // 잘못된 JSON 등 (입력한 내용은 그대로 두고 표시)
+
+  const onImport = async (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    try {
+      const labels = parseTaxonomy(await f.text(), f.name);
+      if (!labels.length) throw new Error("라벨이 없습니다.");
+      setError("");
+      onChange({ ...value, labels });
+    } catch (err) {
+      setError(`${f.name}: ${err.message || err}`);
+    }
+  };
+
+  const onEdit = (e) => {
+    try {
+      const labels = parseTaxonomy(e.target.value, "labels.txt");
+      setError("");
+      onChange({ ...value, labels });
+    } catch (err) {
+      setError(err.message || String(err));
+    }
+  };
+
+  return (
+    <details className="text-sm text-slate-700">
+      <summary className="cursor-pointer font-semibold">
+        라벨 목록 <span className="text-xs text-slate-500">({value.labels.length ? `${value.labels.length}개` : "제한 없음"})</span>
+      </summary>
+      <div className="mt-2 space-y-2">
+        <textarea
+          className="w-full h-28 border rounded p-1 font-normal"
+          placeholder={"한 줄에 라벨 하나\nex) 살려주세요"}
+          defaultValue={value.labels.join("\n")}
+          key={value.labels.join("\n")}
+          onBlur={onEdit}
+        />
+        <div className="flex items-center gap-2 flex-wrap">
+          <input
+            ref={importRef}
+            type="file"
+            accept=".json,.csv,.txt"
+            onChange={onImport}
+            style={{ display: "none" }}
+          />
+          <button className="normal-button" onClick={() => importRef.current?.click()}>JSON/CSV 가져오기</button>
+          <button className="normal-button" onClick={() => { setError(""); onChange({ ...value, labels: [] }); }}>비우기</button>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={value.allowFreeText}
+              onChange={(e) => onChange({ ...value, allowFreeText: e.target.checked })}
+            />
+            목록 외 자유 입력 허용
+          </label>
+        </div>
+        {error && <div className="text-xs text-red-600">라벨 목록을 읽지 못했습니다: {error}</div>}
+      </div>
+    </details>
+  );
+}
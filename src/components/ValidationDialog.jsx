@@ -0,0 +1,36 @@
+import React from "react";
+
+// 저장 전 검사 결과 - 구간별 문제 목록, 수정하러 가기 / 무시하고 계속
+export default function ValidationDialog({ issues, onFix, onProceed }) {
+  const byRow = new Map();
+  issues.forEach((x) => {
+    if (!byRow.has(x.index)) byRow.set(x.index, []);
+    byRow.get(x.index).push(x);
+  });
+  const blocking = issues.some((x) => x.blocking);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onFix}>
+      <div className="bg-white rounded-lg shadow-lg p-4 w-[520px] max-h-[85vh] overflow-auto text-slate-800 space-y-3 text-sm" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold">저장 전 확인이 필요합니다</h2>
+        <ul className="space-y-2">
+          {[...byRow.entries()].sort((a, b) => a[0] - b[0]).map(([idx, list]) => (
+            <li key={idx}>
+              <div className="font-semibold">{idx + 1}번 구간</div>
+              <ul className="list-disc pl-5 text-slate-600">
+                {list.map((x, i) => (
+                  <li key={i} className={x.blocking ? "text-red-600" : ""}>{x.message}</li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+        {blocking && <div className="text-red-600">라벨 목록에 없는 라벨은 수정해야 저장할 수 있습니다.</div>}
+        <div className="flex justify-end gap-2">
+          <button className="normal-button" onClick={onFix}>수정하기</button>
+          <button className="normal-button" onClick={onProceed} disabled={blocking}>무시하고 계속</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+// 다른 도구와 라벨 주고받기: Audacity 라벨(.txt) / Praat TextGrid / CSV(file,start,end,label) / WebVTT(내보내기만)
+import { baseName, dirName, joinPath, relPath, safeDir, safeName, segmentEnd } from "./files.js";
+import { parseCSV } from "./manifest.js";
+
+export const ANNOTATION_ACCEPT = ".txt,.TextGrid,.textgrid,.csv";
+
+// BOM 으로 UTF-8 / UTF-16 판별 (Praat 는 UTF-16 으로 저장하기도 함)
+export function decodeText(buf) {
+  const b = new Uint8Array(buf);
+  if (b[0] === 0xff && b[1] === 0xfe) return new TextDecoder("utf-16le").decode(b.subarray(2));
+  if (b[0] === 0xfe && b[1] === 0xff) return new TextDecoder("utf-16be").decode(b.subarray(2));
+  return new TextDecoder("utf-8").decode(b).replace(/^\uFEFF/, "");
+}
+
+const num = (s) => {
+  const x = parseFloat(String(s).trim());
+  return Number.isFinite(x) ? x : NaN;
+};
+
+// Audacity: "start\tend\tlabel" (주파수 줄 "\\t..." 은 무시)
+export function parseAudacityLabels(text) {
+  const out = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.startsWith("\\")) return;
+    const [a, b, ...rest] = line.split("\t");
+    const start = num(a);
+    const end = num(b);
+    if (Number.isNaN(start) || Number.isNaN(end)) throw new Error(`${i + 1}번째 줄을 읽을 수 없습니다: ${line}`);
+    out.push({ start, end, label: rest.join("\t").trim(), line: i + 1 });
+  });
+  return out;
+}
+
+// TextGrid (긴 / 짧은 형식 모두): "[n]" 을 지우면 두 형식 모두 같은 값 순서의 토큰열이 됨
+// 반환: [{ name, intervals: [{ start, end, label }] }] (IntervalTier 만)
+export function parseTextGrid(text) {
+  const tokens = [];
+  const re = /"((?:[^"]|"")*)"|(<exists>|<absent>)|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)/g;
+  const src = text.replace(/\[\s*\d+\s*\]/g, "");
+  for (let m; (m = re.exec(src)); ) {
+    if (m[1] !== undefined) tokens.push({ s: m[1].replace(/""/g, '"') });
+    else if (m[2]) tokens.push({ flag: m[2] });
+    else tokens.push({ n: parseFloat(m[3]) });
+  }
+  let p = 0;
+  const next = () => tokens[p++] || {};
+  const str = () => next().s ?? "";
+  const number = () => {
+    const t = next();
+    if (t.n === undefined) throw new Error("TextGrid 형식이 올바르지 않습니다.");
+    return t.n;
+  };
+
+  if (str() !== "ooTextFile" || str() !== "TextGrid") throw new Error("TextGrid 파일이 아닙니다.");
+  number(); // xmin
+  number(); // xmax
+  if (next().flag !== "<exists>") return [];
+  const tierCount = number();
+  const tiers = [];
+  for (let t = 0; t < tierCount; t++) {
+    const cls = str();
+    const name = str();
+    number();
+    number();
+    const size = number();
+    if (cls === "IntervalTier") {
+      const intervals = [];
+      for (let i = 0; i < size; i++) intervals.push({ start: number(), end: number(), label: str().trim() });
+      tiers.push({ name, intervals });
+    } else {
+      for (let i = 0; i < size; i++) { number(); str(); } // TextTier (시점) - 구간이 아니라 건너뜀
+    }
+  }
+  return tiers;
+}
+
+// CSV: 헤더가 있으면 file|source|path / start|start_sec / end|end_sec / label 열, 없으면 file,start,end,label 순서
+// (이 도구의 매니페스트 CSV 는 원본 경로인 source 열을 씀)
+export function parseAnnotationCSV(text) {
+  const rows = parseCSV(text);
+  if (!rows.length) return [];
+  const head = rows[0].map((h) => h.trim().toLowerCase());
+  const hasHeader = Number.isNaN(num(rows[0][1])) && Number.isNaN(num(rows[0][2]));
+  const col = (names, fallback) => {
+    if (!hasHeader) return fallback;
+    const i = names.map((n) => head.indexOf(n)).find((x) => x >= 0);
+    return i ?? -1;
+  };
+  const fileCol = col(["source", "file", "filename", "path"], 0);
+  const startCol = col(["start_sec", "start", "begin", "onset"], 1);
+  const endCol = col(["end_sec", "end", "offset"], 2);
+  const labelCol = col(["label", "text", "name"], 3);
+  if (fileCol < 0 || startCol < 0 || endCol < 0) throw new Error("file / start / end 열을 찾을 수 없습니다.");
+  return rows.slice(hasHeader ? 1 : 0).map((r, i) => ({
+    file: (r[fileCol] || "").trim(),
+    start: num(r[startCol]),
+    end: num(r[endCol]),
+    label: labelCol >= 0 ? (r[labelCol] || "").trim() : "",
+    line: i + (hasHeader ? 2 : 1),
+  }));
+}
+
+// 참조(경로 또는 파일명)를 불러온 파일에 연결: 상대경로 -> 경로 끝 -> 파일명 -> 확장자 뺀 이름 (하나뿐일 때만)
+export function findAnnotatedFile(ref, files) {
+  const r = ref.replace(/\\/g, "/");
+  const name = r.split("/").pop();
+  const unique = (list) => (list.length === 1 ? list[0] : null);
+  return (
+    files.find((f) => relPath(f) === r) ||
+    unique(files.filter((f) => relPath(f).endsWith(`/${r}`))) ||
+    unique(files.filter((f) => f.name === name)) ||
+    unique(files.filter((f) => baseName(f.name) === baseName(name))) ||
+    null
+  );
+}
+
+// 읽은 주석 파일 하나 -> [{ ref, intervals, notes }] (ref: 연결할 음원 이름/경로)
+// Audacity / TextGrid 는 주석 파일 이름으로 음원을 찾음
+export function parseAnnotationFile(name, text) {
+  if (/\.textgrid$/i.test(name)) {
+    const tiers = parseTextGrid(text);
+    const tier = tiers.find((t) => t.intervals.some((x) => x.label)) || tiers[0];
+    const notes = tiers.filter((t) => t !== tier).map((t) => `tier "${t.name}" 무시 (첫 번째 라벨 tier "${tier?.name}" 만 사용)`);
+    // 라벨이 빈 구간은 TextGrid 에서 보통 사이 공백이라 제외
+    return [{ ref: name, intervals: (tier?.intervals || []).filter((x) => x.label), notes }];
+  }
+  if (/\.csv$/i.test(name)) {
+    const groups = new Map();
+    parseAnnotationCSV(text).forEach((x) => {
+      if (!groups.has(x.file)) groups.set(x.file, []);
+      groups.get(x.file).push(x);
+    });
+    return [...groups].map(([ref, intervals]) => ({ ref, intervals, notes: [] }));
+  }
+  return [{ ref: name, intervals: parseAudacityLabels(text), notes: [] }];
+}
+
+const round3 = (x) => Math.round(x * 1000) / 1000;
+
+// 구간 -> rows 후보. 범위는 [0, duration] 로 자르고 길이는 [minLen, maxLen] 로, 개수는 maxRegions(기존 구간 포함) 까지
+// 자르기 / 이동 / 길이 조정은 모두 issues 에 기록
+// 반환: { rows: [{ start, end, maxLen, label }], issues: [{ where, message, applied }] }
+export function intervalsToRows(intervals, { constraints, duration, existing = 0 }) {
+  const { minLen, maxLen, maxRegions } = constraints;
+  const rows = [];
+  const issues = [];
+  const where = (x) => `${x.line ? `${x.line}행 ` : ""}${x.start}~${x.end} "${x.label || ""}"`;
+  [...intervals]
+    .sort((a, b) => a.start - b.start)
+    .forEach((x) => {
+      if (Number.isNaN(x.start) || Number.isNaN(x.end) || x.end < x.start) {
+        issues.push({ where: where(x), message: "시작 / 끝 시간이 올바르지 않음", applied: false });
+        return;
+      }
+      if ((duration && x.start >= duration) || x.end <= 0) {
+        issues.push({ where: where(x), message: `음원 범위(0~${duration ? duration.toFixed(2) : "?"}초)를 벗어남`, applied: false });
+        return;
+      }
+      if (existing + rows.length >= maxRegions) {
+        issues.push({ where: where(x), message: `구간 수 제한(${maxRegions}개) 초과`, applied: false });
+        return;
+      }
+      // 먼저 음원 범위로 자르고, 그 다음 길이 제한
+      const fix = (message) => issues.push({ where: where(x), message, applied: true });
+      let start = Math.max(0, x.start);
+      let end = duration ? Math.min(duration, x.end) : x.end;
+      if (start > x.start + 1e-3) fix(`시작 ${x.start.toFixed(2)}초 -> 0초로 자름`);
+      if (end < x.end - 1e-3) fix(`끝 ${x.end.toFixed(2)}초 -> ${end.toFixed(2)}초(음원 끝)로 자름`);
+      const len = end - start;
+      let clamped = Math.min(maxLen, Math.max(minLen, len));
+      if (duration) clamped = Math.min(clamped, duration);
+      if (Math.abs(clamped - len) > 1e-3) fix(`길이 ${len.toFixed(2)}초 -> ${clamped.toFixed(2)}초로 조정`);
+      // 최소 길이로 늘린 끝이 음원을 넘으면 시작을 앞으로
+      if (duration && start + clamped > duration + 1e-9) {
+        const moved = Math.max(0, duration - clamped);
+        fix(`시작 ${start.toFixed(2)}초 -> ${moved.toFixed(2)}초로 이동 (음원 끝)`);
+        start = moved;
+      }
+      rows.push({ start: round3(start), end: round3(start + clamped), maxLen: round3(clamped), label: x.label || "" });
+    });
+  return { rows, issues };
+}
+
+// ---------- 내보내기 ----------
+
+// 형식 id -> 확장자 / MIME / 표시 이름
+export const LABEL_FORMATS = {
+  audacity: { ext: "txt", type: "text/plain", label: "Audacity" },
+  textgrid: { ext: "TextGrid", type: "text/plain", label: "TextGrid" },
+  vtt: { ext: "vtt", type: "text/vtt", label: "WebVTT" },
+};
+
+// 매니페스트와 같은 정밀도 (소수 6자리)
+const round6 = (x) => Math.round(x * 1e6) / 1e6;
+
+// 실제로 저장되는 범위 (WAV 와 같은 start ~ min(end, start+maxLen)), 시간순
+const spans = (rows) =>
+  [...rows]
+    .map((r) => ({ start: round6(r.start), end: round6(segmentEnd(r)), label: r.label || "" }))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+
+export function toAudacityLabels(rows) {
+  return spans(rows)
+    .map((x) => `${x.start.toFixed(6)}\t${x.end.toFixed(6)}\t${x.label.replace(/[\t\r\n]+/g, " ")}`)
+    .join("\n") + "\n";
+}
+
+// 겹치는 구간은 한 tier 에 못 넣으므로 tier 를 나눔 ("label", "label 2", ...)
+// 구간 사이 / 앞뒤는 빈 interval 로 채워 [0, duration] 을 덮음
+export function toTextGrid(rows, duration, tierName = "label") {
+  const all = spans(rows);
+  const xmax = round6(Math.max(duration || 0, ...all.map((x) => x.end), 0));
+  const tiers = [];
+  all.forEach((x) => {
+    let tier = tiers.find((t) => t[t.length - 1].end <= x.start + 1e-9);
+    if (!tier) tiers.push((tier = []));
+    tier.push(x);
+  });
+  if (!tiers.length) tiers.push([]);
+
+  const q = (s) => `"${String(s).replace(/"/g, '""')}"`;
+  const lines = ['File type = "ooTextFile"', 'Object class = "TextGrid"', "", "xmin = 0", `xmax = ${xmax}`, "tiers? <exists>", `size = ${tiers.length}`, "item []:"];
+  tiers.forEach((tier, ti) => {
+    const intervals = [];
+    let t = 0;
+    tier.forEach((x) => {
+      if (x.start > t) intervals.push({ start: t, end: x.start, label: "" });
+      intervals.push(x);
+      t = x.end;
+    });
+    if (t < xmax || !intervals.length) intervals.push({ start: t, end: xmax, label: "" });
+    lines.push(
+      `    item [${ti + 1}]:`,
+      '        class = "IntervalTier"',
+      `        name = ${q(ti ? `${tierName} ${ti + 1}` : tierName)}`,
+      "        xmin = 0",
+      `        xmax = ${xmax}`,
+      `        intervals: size = ${intervals.length}`
+    );
+    intervals.forEach((x, i) => {
+      lines.push(`        intervals [${i + 1}]:`, `            xmin = ${x.start}`, `            xmax = ${x.end}`, `            text = ${q(x.label)}`);
+    });
+  });
+  return lines.join("\n") + "\n";
+}
+
+// hh:mm:ss.mmm (WebVTT 는 밀리초까지)
+const vttTime = (sec) => {
+  const ms = Math.round(sec * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+export function toWebVTT(rows) {
+  const esc = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/-->/g, "->").replace(/\s*[\r\n]+\s*/g, " ");
+  const cues = spans(rows).map((x, i) => `${i + 1}\n${vttTime(x.start)} --> ${vttTime(x.end)}\n${esc(x.label) || "-"}`);
+  return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+export function serializeLabels(format, rows, duration) {
+  if (format === "textgrid") return toTextGrid(rows, duration);
+  if (format === "vtt") return toWebVTT(rows);
+  return toAudacityLabels(rows);
+}
+
+// 라벨 파일 경로: [원본폴더/]원본이름.확장자 (WAV 출력과 같은 규칙)
+export const labelFilePath = (file, format, { bySource = true } = {}) =>
+  joinPath(bySource ? safeDir(dirName(relPath(file))) : "", `${safeName(baseName(file.name), "audio")}.${LABEL_FORMATS[format].ext}`);
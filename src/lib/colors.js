@@ -0,0 +1,32 @@
+// 구간 색상 팔레트 (반투명 hex)
+
+const BASE_COLORS = [
+  "#22c55e55",
+  "#3b82f655",
+  "#ef444455",
+  "#eab30855",
+  "#a855f755",
+  "#06b6d455",
+  "#f9731655",
+];
+
+const hslToHex = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const c = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(c * 255).toString(16).padStart(2, "0");
+  };
+  return `#${f(0)}${f(8)}${f(4)}`;
+};
+
+// 기본 7색 이후는 황금각(137.5°)으로 색상환을 돌려 서로 겹치지 않게
+export function regionPalette(count) {
+  const out = BASE_COLORS.slice(0, Math.max(count, 1));
+  for (let i = out.length; i < count; i++) {
+    const hue = (i * 137.508) % 360;
+    const light = i % 2 ? 0.45 : 0.6;
+    out.push(`${hslToHex(hue, 0.7, light)}55`);
+  }
+  return out;
+}
@@ -0,0 +1,35 @@
+// 구간 길이 / 개수 제한 (프로젝트마다 다르게 설정)
+
+export const DEFAULT_CONSTRAINTS = {
+  minLen: 0.5, // 초
+  maxLen: 5.0,
+  defaultLen: 1.0, // 새 구간 기본 길이
+  maxRegions: 7, // 파일당 최대 구간 수
+};
+
+export const CONSTRAINT_LIMITS = {
+  minLen: [0.01, 600],
+  maxLen: [0.01, 600],
+  defaultLen: [0.01, 600],
+  maxRegions: [1, 500],
+};
+
+// 반환: { value, errors } - errors 가 비어 있을 때만 적용
+export function validateConstraints(input) {
+  const value = {
+    minLen: Number(input.minLen),
+    maxLen: Number(input.maxLen),
+    defaultLen: Number(input.defaultLen),
+    maxRegions: Number(input.maxRegions),
+  };
+  const errors = [];
+  Object.entries(CONSTRAINT_LIMITS).forEach(([k, [lo, hi]]) => {
+    if (!Number.isFinite(value[k]) || value[k] < lo || value[k] > hi) errors.push(`${k}: ${lo} ~ ${hi} 사이여야 합니다.`);
+  });
+  if (!Number.isInteger(value.maxRegions)) errors.push("maxRegions: 정수여야 합니다.");
+  if (value.minLen > value.maxLen) errors.push("최소 길이가 최대 길이보다 클 수 없습니다.");
+  if (value.defaultLen < value.minLen || value.defaultLen > value.maxLen) {
+    errors.push("기본 길이는 최소~최대 길이 사이여야 합니다.");
+  }
+  return { value, errors };
+}
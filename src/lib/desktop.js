@@ -0,0 +1,41 @@
+// Electron 데스크톱 앱의 preload API (웹 브라우저에서는 null)
+import { AUDIO_TYPES } from "./formats.js";
+
+export const desktop = (typeof window !== "undefined" && window.wavsegDesktop) || null;
+
+export const AUDIO_EXTS = Object.keys(AUDIO_TYPES);
+
+const toArrayBuffer = (u8) => u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength);
+
+// 디스크의 파일을 File 처럼 다루는 객체 (내용은 필요할 때 IPC 로 읽음)
+function lazyBlob(absPath, start, end, type) {
+  return {
+    size: end - start,
+    type,
+    arrayBuffer: async () => toArrayBuffer(await desktop.readFile(absPath, start, end)),
+    text: async () => new TextDecoder().decode(await desktop.readFile(absPath, start, end)),
+    slice: (a = 0, b = end - start) => {
+      const s = start + Math.max(0, Math.min(a, end - start));
+      const e = start + Math.max(0, Math.min(b, end - start));
+      return lazyBlob(absPath, s, Math.max(s, e), type);
+    },
+  };
+}
+
+// 스캔 결과 항목 -> File 대용 (relPath / fileKey 가 웹의 폴더 불러오기와 같게 webkitRelativePath 사용)
+export function desktopFile({ path, rel, size, lastModified }) {
+  const name = rel.split("/").pop();
+  const ext = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+  return {
+    ...lazyBlob(path, 0, size, AUDIO_TYPES[ext] || ""),
+    name,
+    lastModified,
+    webkitRelativePath: rel,
+    path,
+    desktop: true,
+  };
+}
+
+// URL.createObjectURL 등 진짜 Blob 이 필요한 곳용
+export const fileBlob = async (f) =>
+  f instanceof Blob ? f : new Blob([await f.arrayBuffer()], { type: f.type });
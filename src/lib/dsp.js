@@ -0,0 +1,54 @@
+// 채널 믹스 / 리샘플링 (순수 JS - 브라우저와 Node 에서 같은 결과)
+import { channelsOf, makePcmBuffer } from "./wav.js";
+
+// mode: "keep" | "mono" | "ch0" | "ch1" ... (없는 채널이면 마지막 채널)
+export function mixChannels(ab, mode = "keep") {
+  if (mode === "keep" || !ab.numberOfChannels) return ab;
+  const src = channelsOf(ab);
+  if (mode === "mono") {
+    if (src.length === 1) return ab;
+    const out = new Float32Array(ab.length);
+    for (const data of src) for (let i = 0; i < out.length; i++) out[i] += data[i];
+    for (let i = 0; i < out.length; i++) out[i] /= src.length;
+    return makePcmBuffer([out], ab.sampleRate);
+  }
+  const idx = Math.min(src.length - 1, Math.max(0, parseInt(String(mode).replace(/^ch/, ""), 10) || 0));
+  return makePcmBuffer([src[idx]], ab.sampleRate);
+}
+
+// 윈도우드 sinc 리샘플러 (Blackman 창, 한쪽 16 tap)
+const RESAMPLE_TAPS = 16;
+
+const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+const blackman = (d, half) => {
+  const r = d / half;
+  return Math.abs(r) >= 1 ? 0 : 0.42 + 0.5 * Math.cos(Math.PI * r) + 0.08 * Math.cos(2 * Math.PI * r);
+};
+
+export function resample(ab, targetRate) {
+  if (!targetRate || targetRate === ab.sampleRate) return ab;
+  if (!ab.length) return makePcmBuffer(channelsOf(ab), targetRate);
+  const ratio = targetRate / ab.sampleRate;
+  const outLen = Math.max(1, Math.round(ab.length * ratio));
+  // 다운샘플링이면 나이퀴스트 아래로 차단 주파수를 내림
+  const cutoff = Math.min(1, ratio);
+  const half = Math.ceil(RESAMPLE_TAPS / cutoff);
+
+  const channels = channelsOf(ab).map((src) => {
+    const out = new Float32Array(outLen);
+    for (let i = 0; i < outLen; i++) {
+      const t = i / ratio;
+      const center = Math.floor(t);
+      const lo = Math.max(0, center - half + 1);
+      const hi = Math.min(src.length - 1, center + half);
+      let sum = 0;
+      for (let j = lo; j <= hi; j++) {
+        const d = t - j;
+        sum += src[j] * sinc(d * cutoff) * blackman(d, half);
+      }
+      out[i] = sum * cutoff;
+    }
+    return out;
+  });
+  return makePcmBuffer(channels, targetRate);
+}
@@ -0,0 +1,25 @@
+// 내보내기 worker: 잘라낸 샘플 -> 후처리 + WAV 인코딩, ZIP 묶기 (메인 스레드가 멈추지 않게)
+// 메시지: { id, op: "cut" | "marked" | "zip", ... } -> { id, result } | { id, error }, zip 은 중간에 { id, progress }
+import { makePcmBuffer } from "./wav.js";
+import { encodeCut, encodeMarked } from "./exportFormat.js";
+import { createZip } from "./zip.js";
+
+const encode = ({ op, channels, sampleRate, fmt, meta, ...data }) => {
+  const buffer = makePcmBuffer(channels, sampleRate);
+  return op === "marked" ? encodeMarked(buffer, data.regions, fmt, meta) : encodeCut({ win: data.win, buffer }, fmt, data.proc, meta);
+};
+
+self.onmessage = async ({ data }) => {
+  const { id } = data;
+  try {
+    if (data.op === "zip") {
+      const result = await createZip(data.entries, (progress) => self.postMessage({ id, progress }));
+      self.postMessage({ id, result });
+      return;
+    }
+    const result = encode(data);
+    self.postMessage({ id, result }, [result.buffer]);
+  } catch (e) {
+    self.postMessage({ id, error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,67 @@
+// 구간 WAV 인코딩 / ZIP 묶기를 worker 에서 실행 (encodeWorker.js). 요청은 worker 하나로 보냄
+// cancel() 은 worker 를 종료해 진행 중 / 대기 중 요청을 모두 AbortError 로 끝냄 (다음 요청 때 새 worker)
+import EncodeWorker from "./encodeWorker.js?worker&inline";
+import { channelsOf } from "./wav.js";
+
+export const abortError = () => new DOMException("취소되었습니다.", "AbortError");
+export const isAbort = (e) => e?.name === "AbortError";
+
+export function createEncoder() {
+  let worker = null;
+  let seq = 0;
+  const pending = new Map(); // id -> { resolve, reject, onProgress }
+
+  const rejectAll = (err) => {
+    pending.forEach((p) => p.reject(err));
+    pending.clear();
+  };
+
+  const stop = () => {
+    worker?.terminate();
+    worker = null;
+  };
+
+  const start = () => {
+    worker = new EncodeWorker();
+    worker.onmessage = ({ data }) => {
+      const p = pending.get(data.id);
+      if (!p) return;
+      if (data.progress != null) {
+        p.onProgress?.(data.progress);
+        return;
+      }
+      pending.delete(data.id);
+      if (data.error) p.reject(new Error(data.error));
+      else p.resolve(data.result);
+    };
+    worker.onerror = (e) => {
+      stop();
+      rejectAll(new Error(e.message || "인코딩 worker 오류"));
+    };
+  };
+
+  const run = (msg, transfer = [], onProgress = null) =>
+    new Promise((resolve, reject) => {
+      if (!worker) start();
+      const id = ++seq;
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ ...msg, id }, transfer);
+    });
+
+  return {
+    // cut: cutSegment() 결과. 잘라낸 복사본의 샘플은 worker 로 넘김(transfer) - 이후 메인에서 쓰지 않음
+    encodeCut: (cut, fmt, proc, meta) => {
+      const channels = channelsOf(cut.buffer);
+      return run({ op: "cut", channels, sampleRate: cut.buffer.sampleRate, win: cut.win, fmt, proc, meta }, channels.map((c) => c.buffer));
+    },
+    // 원본 전체 길이 + cue 마커 (원본 샘플은 복사해서 보냄)
+    encodeMarked: (ab, regions, fmt, meta) => run({ op: "marked", channels: channelsOf(ab), sampleRate: ab.sampleRate, regions, fmt, meta }),
+    // createZip 과 같음. Blob 항목은 복사 없이 넘어가고 결과도 Blob. onProgress(n): 처리한 항목 수
+    zip: (entries, onProgress) => run({ op: "zip", entries }, [], onProgress),
+    cancel: () => {
+      stop();
+      rejectAll(abortError());
+    },
+    dispose: stop,
+  };
+}
@@ -0,0 +1,71 @@
+// 내보내기 포맷 (샘플레이트 / 비트 / 채널) 과 구간 렌더링
+import { encodeWav, sliceBuffer } from "./wav.js";
+import { mixChannels, resample } from "./dsp.js";
+import { DEFAULT_PROCESSING, applyFades, exportWindow, normalizeBuffer, padSilence } from "./processing.js";
+import { cueChunks, provenanceChunks } from "./wavMeta.js";
+
+export const SAMPLE_RATE_OPTIONS = [0, 8000, 16000, 22050, 24000, 44100, 48000]; // 0 = 원본 유지
+export const BIT_DEPTH_OPTIONS = [16, 24, "32f"];
+
+export const DEFAULT_EXPORT_FORMAT = {
+  sampleRate: 0,
+  bitDepth: 16,
+  channels: "keep", // "keep" | "mono" | "ch0" | "ch1" ...
+  info: true, // LIST/INFO chunk 에 라벨 / 원본 / 위치 기록
+  bext: false, // BWF bext chunk
+};
+
+// 실제 출력 포맷 (info: 원본 { sampleRate, channels })
+export function resolveFormat(fmt, info) {
+  const srcChannels = info?.channels || 1;
+  return {
+    sampleRate: fmt.sampleRate || info?.sampleRate || 0,
+    channels: fmt.channels === "keep" ? srcChannels : 1,
+    bitDepth: fmt.bitDepth,
+  };
+}
+
+// 구간 렌더링은 두 단계: 원본에서 필요한 샘플만 복사(cutSegment, 메인 스레드) -> 나머지 처리 / 인코딩(worker 가능)
+// 순서: 무음 잘라내기 / 여백 -> 채널 -> 리샘플링 -> 정규화 -> 페이드
+
+// 반환: { win: exportWindow 결과, buffer: 잘라낸 복사본 }
+export function cutSegment(ab, startSec, endSec, proc = DEFAULT_PROCESSING) {
+  const win = exportWindow(ab, startSec, endSec, proc);
+  return { win, buffer: sliceBuffer(ab, win.start, win.end) };
+}
+
+// 잘라낸 복사본 -> 후처리 + 설정된 포맷 (인코딩 직전 단계)
+// sliceBuffer 가 복사본을 만드므로 제자리 수정해도 원본은 그대로
+export function renderCut({ win, buffer }, fmt = DEFAULT_EXPORT_FORMAT, proc = DEFAULT_PROCESSING) {
+  const padded = padSilence(buffer, win.silenceBefore, win.silenceAfter);
+  const out = resample(mixChannels(padded, fmt.channels), fmt.sampleRate);
+  normalizeBuffer(out, proc.normalize, proc.targetDb);
+  return applyFades(out, proc.fadeIn, proc.fadeOut);
+}
+
+// 잘라낸 복사본 -> WAV 바이트. meta({ label, source, tool, exportedAt })가 있으면 출처 chunk 포함
+// 기록하는 시작 / 끝은 실제로 잘라낸 원본 범위 (무음 잘라내기 / 원본 여백 반영)
+export function encodeCut(cut, fmt = DEFAULT_EXPORT_FORMAT, proc = DEFAULT_PROCESSING, meta = null) {
+  const out = renderCut(cut, fmt, proc);
+  const chunks = meta ? provenanceChunks({ ...meta, start: cut.win.start, end: cut.win.end }, fmt, out) : [];
+  return encodeWav(out, { bitDepth: fmt.bitDepth, chunks });
+}
+
+export const renderSegment = (ab, startSec, endSec, fmt = DEFAULT_EXPORT_FORMAT, proc = DEFAULT_PROCESSING) =>
+  renderCut(cutSegment(ab, startSec, endSec, proc), fmt, proc);
+
+export const encodeSegment = (ab, startSec, endSec, fmt = DEFAULT_EXPORT_FORMAT, proc = DEFAULT_PROCESSING, meta = null) =>
+  encodeCut(cutSegment(ab, startSec, endSec, proc), fmt, proc, meta);
+
+// 원본 전체 길이 사본 (포맷 변환만, 후처리 없음) + 구간마다 cue 마커
+// regions: [{ start, end, label }] (초)
+export function encodeMarked(ab, regions, fmt = DEFAULT_EXPORT_FORMAT, meta = null) {
+  const duration = ab.length / ab.sampleRate;
+  const out = renderSegment(ab, 0, duration, fmt);
+  const toSample = (t) => Math.min(out.length, Math.max(0, Math.round(t * out.sampleRate)));
+  const markers = [...regions]
+    .sort((a, b) => a.start - b.start)
+    .map((r) => ({ position: toSample(r.start), length: toSample(r.end) - toSample(r.start), label: r.label }));
+  const chunks = meta ? provenanceChunks({ ...meta, start: 0, end: duration }, fmt, out) : [];
+  return encodeWav(out, { bitDepth: fmt.bitDepth, chunks: [...chunks, ...cueChunks(markers)] });
+}
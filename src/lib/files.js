@@ -0,0 +1,67 @@
+// 파일 이름 / 키 / 다운로드 관련 공용 helper
+
+export function baseName(name) {
+  const i = name.lastIndexOf(".");
+  return i > 0 ? name.slice(0, i) : name;
+}
+
+// 폴더로 불러온 경우 webkitRelativePath, 아니면 파일명
+export const relPath = (f) => (f ? f.webkitRelativePath || f.name : "");
+
+// 캐시 키: 경로|크기|수정시각
+export const fileKey = (f) => (f ? `${relPath(f)}|${f.size}|${f.lastModified}` : "");
+
+// 실제로 잘라낼 구간 끝 (maxLen 적용)
+export const segmentEnd = (r) => Math.min(r.start + r.maxLen, r.end);
+
+// 파일 / 폴더 이름 한 칸으로 쓸 수 있게: 공백 -> _, 경로 구분자 / Windows 금지 문자 / 제어 문자 -> _,
+// ".." 와 앞뒤 점 제거, Windows 예약 이름(CON, NUL, COM1 ...) 앞에 _
+const RESERVED_NAME = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+export function safeName(name, fallback = "seg") {
+  let s = Array.from(String(name ?? ""), (c) => (c.charCodeAt(0) < 0x20 ? "_" : c))
+    .join("")
+    .replace(/[\\/:*?"<>|]/g, "_")
+    .replace(/\s+/g, "_")
+    .replace(/\.{2,}/g, "_")
+    .replace(/^\.+|\.+$/g, "");
+  if (!s) s = fallback;
+  return RESERVED_NAME.test(s) ? `_${s}` : s;
+}
+
+// 상대 폴더 경로를 칸마다 safeName 으로 ("." / ".." / 빈 칸은 버림)
+export const safeDir = (path) =>
+  String(path || "")
+    .split(/[\\/]/)
+    .filter((p) => p && p !== "." && p !== "..")
+    .map((p) => safeName(p, "_"))
+    .join("/");
+
+// 출력 파일명에 쓰는 라벨
+export const labelName = (r) => safeName(r.label, "seg");
+
+// 저장 파일명: 원본이름_라벨.wav
+export const segmentFileName = (file, r) => `${safeName(baseName(file.name), "audio")}_${labelName(r)}.wav`;
+
+export function downloadBlob(blob, name) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// 상대경로의 폴더 부분 ("a/b/c.wav" -> "a/b", 파일만이면 "")
+export const dirName = (path) => {
+  const i = path.lastIndexOf("/");
+  return i > 0 ? path.slice(0, i) : "";
+};
+
+export const joinPath = (...parts) => parts.filter(Boolean).join("/");
+
+// 출력 경로: [라벨/][원본폴더/]원본이름_라벨.wav
+export const outputPath = (file, r, { byLabel = false, bySource = true } = {}) =>
+  joinPath(
+    byLabel ? labelName(r) : "",
+    bySource ? safeDir(dirName(relPath(file))) : "",
+    segmentFileName(file, r)
+  );
@@ -0,0 +1,42 @@
+// 불러올 수 있는 음원 형식 판별
+
+// 확장자 -> canPlayType 확인용 MIME
+export const AUDIO_TYPES = {
+  wav: "audio/wav",
+  wave: "audio/wav",
+  mp3: "audio/mpeg",
+  flac: "audio/flac",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  opus: "audio/ogg; codecs=opus",
+  m4a: "audio/mp4",
+  mp4: "audio/mp4",
+  aac: "audio/aac",
+  webm: "audio/webm",
+  aif: "audio/aiff",
+  aiff: "audio/aiff",
+};
+
+export const AUDIO_ACCEPT = Object.keys(AUDIO_TYPES).map((x) => `.${x}`).join(",");
+
+const extOf = (name) => {
+  const i = name.lastIndexOf(".");
+  return i > 0 ? name.slice(i + 1).toLowerCase() : "";
+};
+
+let probe = null;
+const canPlay = (mime) => {
+  if (typeof document === "undefined") return true;
+  if (!probe) probe = document.createElement("audio");
+  return probe.canPlayType(mime) !== "";
+};
+
+// 반환: null(사용 가능) 또는 건너뛴 이유
+export function unsupportedReason(file) {
+  const ext = extOf(file.name);
+  const mime = AUDIO_TYPES[ext];
+  if (!mime) return file.type.startsWith("audio/") ? "알 수 없는 음원 확장자" : "음원 파일 아님";
+  // WAV 는 직접 읽을 수 있으니 항상 허용, 나머지는 브라우저 코덱 확인
+  if (ext !== "wav" && ext !== "wave" && !canPlay(mime)) return "이 브라우저에서 지원하지 않는 형식";
+  return null;
+}
@@ -0,0 +1,35 @@
+// 구간 편집 undo / redo (파일별로 하나씩 유지)
+
+const HISTORY_LIMIT = 200;
+const COALESCE_MS = 1000; // 같은 태그의 연속 편집(타이핑 등)은 한 단계로
+
+export const createHistory = () => ({ past: [], future: [], lastTag: null, lastAt: 0 });
+
+// 변경 "직전" rows 를 기록. tag 가 같고 1초 이내면 직전 기록에 합침
+export function recordHistory(h, prevRows, tag = null) {
+  const now = Date.now();
+  h.future = [];
+  if (tag && tag === h.lastTag && now - h.lastAt < COALESCE_MS) {
+    h.lastAt = now;
+    return;
+  }
+  h.past.push(prevRows);
+  if (h.past.length > HISTORY_LIMIT) h.past.shift();
+  h.lastTag = tag;
+  h.lastAt = now;
+}
+
+// 되돌릴 rows 반환 (없으면 null). currentRows 는 redo 쪽으로 이동
+export function undoHistory(h, currentRows) {
+  if (!h.past.length) return null;
+  h.future.push(currentRows);
+  h.lastTag = null;
+  return h.past.pop();
+}
+
+export function redoHistory(h, currentRows) {
+  if (!h.future.length) return null;
+  h.past.push(currentRows);
+  h.lastTag = null;
+  return h.future.pop();
+}
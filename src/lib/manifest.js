@@ -0,0 +1,132 @@
+// 데이터셋 매니페스트 (세그먼트당 1행)
+import { relPath, segmentEnd, segmentFileName } from "./files.js";
+import { DEFAULT_PROCESSING, exportWindow } from "./processing.js";
+
+export const MANIFEST_COLUMNS = [
+  "file",
+  "source",
+  "start_sec",
+  "end_sec",
+  "start_sample",
+  "end_sample",
+  "sample_rate",
+  "channels",
+  "out_sample_rate",
+  "out_channels",
+  "bit_depth",
+  "label",
+  // 내보내기 처리 반영: 원본에서 실제로 잘라낸 범위 + 잘라낸 무음 / 붙인 여백(초)
+  "cut_start_sec",
+  "cut_end_sec",
+  "cut_start_sample",
+  "cut_end_sample",
+  "trim_start_sec",
+  "trim_end_sec",
+  "pad_before_sec",
+  "pad_after_sec",
+  "pad_mode",
+];
+
+const round6 = (x) => Math.round(x * 1e6) / 1e6;
+
+const toSamples = (sec, sr, frames) => {
+  const n = Math.max(0, Math.floor(sec * sr));
+  return Number.isFinite(frames) ? Math.min(n, frames) : n;
+};
+
+// info: { sampleRate, channels, frames? } - 원본 오디오 정보
+// out: resolveFormat() 결과 - 실제 저장되는 WAV 포맷
+// proc: 내보내기 처리 설정. 무음 잘라내기가 켜져 있으면 ab(디코딩한 원본)가 필요
+export function buildManifestEntries(file, rows, info, out, proc = DEFAULT_PROCESSING, ab = null) {
+  const sr = info?.sampleRate || 0;
+  const frames = info?.frames;
+  if (proc.trimSilence && !ab) throw new Error("무음 잘라내기 범위를 계산하려면 디코딩한 오디오가 필요합니다.");
+  const src = ab || { duration: Number.isFinite(frames) && sr ? frames / sr : Infinity };
+  return (rows || []).map((r) => {
+    const end = segmentEnd(r);
+    const startSample = toSamples(r.start, sr, frames);
+    const endSample = Math.max(startSample, toSamples(end, sr, frames));
+    const win = exportWindow(src, r.start, end, proc);
+    const cutStart = toSamples(win.start, sr, frames);
+    const silence = proc.padMode === "silence";
+    return {
+      file: segmentFileName(file, r),
+      source: relPath(file),
+      start_sec: round6(r.start),
+      end_sec: round6(end),
+      start_sample: startSample,
+      end_sample: endSample,
+      sample_rate: sr,
+      channels: info?.channels || 0,
+      out_sample_rate: out?.sampleRate || sr,
+      out_channels: out?.channels || info?.channels || 0,
+      bit_depth: out?.bitDepth || 16,
+      label: r.label || "",
+      cut_start_sec: round6(win.start),
+      cut_end_sec: round6(win.end),
+      cut_start_sample: cutStart,
+      cut_end_sample: Math.max(cutStart, toSamples(win.end, sr, frames)),
+      trim_start_sec: round6(win.trimmed.start - r.start),
+      trim_end_sec: round6(end - win.trimmed.end),
+      pad_before_sec: round6(silence ? win.silenceBefore : win.trimmed.start - win.start),
+      pad_after_sec: round6(silence ? win.silenceAfter : win.end - win.trimmed.end),
+      pad_mode: proc.padMode,
+    };
+  });
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function manifestToCSV(entries) {
+  const lines = [MANIFEST_COLUMNS.join(",")];
+  entries.forEach((e) => lines.push(MANIFEST_COLUMNS.map((c) => csvCell(e[c])).join(",")));
+  // 엑셀에서 한글 라벨이 깨지지 않도록 BOM 추가
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export function manifestToJSON(entries) {
+  return JSON.stringify(entries, null, 2);
+}
+
+// CSV -> 문자열 배열의 배열 (따옴표 / "" / 따옴표 안 줄바꿈 처리, BOM 제거, 빈 줄 제외)
+export function parseCSV(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((x) => x.trim()));
+}
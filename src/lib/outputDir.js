@@ -0,0 +1,75 @@
+// File System Access API(데스크톱 앱은 네이티브 IPC)로 선택한 출력 폴더에 직접 쓰기
+// 둘 다 없으면 호출하는 쪽에서 다운로드로 대체
+import { desktop } from "./desktop.js";
+
+export const DEFAULT_OUTPUT = {
+  byLabel: false, // 라벨별 하위 폴더
+  bySource: true, // 원본 폴더 구조 유지
+  collision: "rename", // "overwrite" | "skip" | "rename"
+};
+
+export const COLLISION_OPTIONS = [
+  ["rename", "이름 변경"],
+  ["overwrite", "덮어쓰기"],
+  ["skip", "건너뛰기"],
+];
+
+export const supportsOutputDir = () => !!desktop || (typeof window !== "undefined" && "showDirectoryPicker" in window);
+
+// 사용자가 취소하면 null. 데스크톱 앱은 { kind: "desktop", name, path }
+export async function pickOutputDir() {
+  if (desktop) {
+    const dir = await desktop.chooseOutputDir();
+    return dir && { kind: "desktop", ...dir };
+  }
+  try {
+    return await window.showDirectoryPicker({ id: "wavseg-output", mode: "readwrite" });
+  } catch (e) {
+    if (e?.name === "AbortError") return null;
+    throw e;
+  }
+}
+
+async function ensurePermission(handle) {
+  const opts = { mode: "readwrite" };
+  if ((await handle.queryPermission?.(opts)) === "granted") return;
+  if ((await handle.requestPermission?.(opts)) !== "granted") throw new Error("출력 폴더 쓰기 권한이 없습니다.");
+}
+
+const exists = async (dir, name) => {
+  try {
+    await dir.getFileHandle(name);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// path: "a/b/c.wav" (root 기준). 반환: { status: "written" | "renamed" | "skipped", path }
+export async function writeToDir(root, path, blob, collision = "rename") {
+  if (root.kind === "desktop") {
+    return desktop.writeFile(root.path, path, new Uint8Array(await blob.arrayBuffer()), collision);
+  }
+  await ensurePermission(root);
+  const parts = path.split("/").filter(Boolean);
+  let name = parts.pop();
+  let dir = root;
+  for (const p of parts) dir = await dir.getDirectoryHandle(p, { create: true });
+
+  let status = "written";
+  if (collision !== "overwrite" && (await exists(dir, name))) {
+    if (collision === "skip") return { status: "skipped", path };
+    const dot = name.lastIndexOf(".");
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : "";
+    let n = 2;
+    while (await exists(dir, `${stem} (${n})${ext}`)) n++;
+    name = `${stem} (${n})${ext}`;
+    status = "renamed";
+  }
+  const fh = await dir.getFileHandle(name, { create: true });
+  const w = await fh.createWritable();
+  await w.write(blob);
+  await w.close();
+  return { status, path: [...parts, name].join("/") };
+}
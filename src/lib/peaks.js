@@ -0,0 +1,23 @@
+// 파형 표시용 요약 peaks - WaveSurfer.load(url, peaks, duration) 로 넘기면 WaveSurfer 가 파일을 다시 디코딩하지 않음
+// 채널별로 칸마다 절댓값이 가장 큰 샘플 (부호 유지, WaveSurfer exportPeaks 와 같은 방식)
+
+export const PEAKS_PER_SEC = 2000; // 최대 확대(초당 2000px)에서도 1px 에 1개 이상
+
+export function computePeaks(ab, perSec = PEAKS_PER_SEC) {
+  const n = Math.max(1, Math.min(ab.length, Math.ceil((ab.length / ab.sampleRate) * perSec)));
+  const step = ab.length / n;
+  const out = [];
+  for (let ch = 0; ch < ab.numberOfChannels; ch++) {
+    const d = ab.getChannelData(ch);
+    const peaks = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const s = Math.floor(i * step);
+      const e = Math.max(s + 1, Math.floor((i + 1) * step));
+      let m = 0;
+      for (let j = s; j < e && j < d.length; j++) if (Math.abs(d[j]) > Math.abs(m)) m = d[j];
+      peaks[i] = m;
+    }
+    out.push(peaks);
+  }
+  return out;
+}
@@ -0,0 +1,20 @@
+// 재생 설정 (반복 / 속도 / 앞뒤 여유 / 볼륨 / 재생 위치 따라가기)
+
+export const DEFAULT_PLAYBACK = {
+  loop: false, // 구간 재생을 반복
+  rate: 1, // 재생 속도 (음높이 유지)
+  preRoll: 0, // 구간 재생 때 앞에 더 들을 시간 (초)
+  postRoll: 0,
+  volume: 1, // 0 ~ 1
+  follow: true, // 재생 위치를 따라 화면 스크롤
+};
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+export const MAX_ROLL = 5; // 초
+
+// 구간 재생 범위 [start, end] (앞뒤 여유 포함, 음원 길이로 제한)
+export const playWindow = (r, end, { preRoll = 0, postRoll = 0 } = {}, duration = Infinity) => ({
+  start: Math.max(0, r.start - preRoll),
+  end: Math.min(duration, end + postRoll),
+});
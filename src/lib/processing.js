@@ -0,0 +1,176 @@
+// 내보내기 후처리: 앞뒤 여백 / 무음 잘라내기 / 정규화(피크, RMS, LUFS) / 페이드
+// 모두 순수 JS (Node CLI 에서도 같은 결과)
+import { channelsOf, makePcmBuffer } from "./wav.js";
+
+export const DEFAULT_PROCESSING = {
+  padBefore: 0, // 초
+  padAfter: 0,
+  padMode: "context", // "context"(원본 앞뒤 소리) | "silence"(무음)
+  trimSilence: false, // 구간 앞뒤 무음 잘라내기 (여백은 그 다음에 붙임)
+  trimThresholdDb: -50, // dBFS, 이보다 작은 샘플은 무음
+  normalize: "none", // "none" | "peak" | "rms" | "lufs"
+  targetDb: -1, // 피크 / RMS 는 dBFS, LUFS 는 LUFS
+  fadeIn: 0, // ms
+  fadeOut: 0,
+};
+
+export const PAD_MODES = [
+  ["context", "원본 소리"],
+  ["silence", "무음"],
+];
+
+// 방식별 기본 목표값
+export const NORMALIZE_MODES = [
+  ["none", "없음", null],
+  ["peak", "피크", -1],
+  ["rms", "RMS", -20],
+  ["lufs", "LUFS", -23],
+];
+
+export const isProcessingActive = (p) =>
+  !!p && (p.padBefore > 0 || p.padAfter > 0 || p.trimSilence || p.normalize !== "none" || p.fadeIn > 0 || p.fadeOut > 0);
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+const gainToDb = (g) => 20 * Math.log10(Math.max(g, 1e-12));
+
+// [startSec, endSec) 안에서 앞뒤 무음을 뺀 범위 (전부 무음이면 그대로)
+export function trimBounds(ab, startSec, endSec, thresholdDb = DEFAULT_PROCESSING.trimThresholdDb) {
+  const sr = ab.sampleRate;
+  const s = Math.max(0, Math.floor(startSec * sr));
+  const e = Math.min(ab.length, Math.floor(endSec * sr));
+  const thr = dbToGain(thresholdDb);
+  const chans = channelsOf(ab);
+  const loud = (i) => chans.some((d) => Math.abs(d[i]) >= thr);
+  let first = s;
+  while (first < e && !loud(first)) first++;
+  if (first >= e) return { start: startSec, end: endSec };
+  let last = e - 1;
+  while (last > first && !loud(last)) last--;
+  return { start: first / sr, end: (last + 1) / sr };
+}
+
+// 원본에서 잘라낼 범위 + 앞뒤에 붙일 무음 길이(초) + 무음을 잘라낸 뒤의 범위(trimmed)
+// context 여백이 파일 밖으로 나가면 있는 만큼만 사용
+export function exportWindow(ab, startSec, endSec, proc = DEFAULT_PROCESSING) {
+  const trimmed = proc.trimSilence ? trimBounds(ab, startSec, endSec, proc.trimThresholdDb) : { start: startSec, end: endSec };
+  const before = Math.max(0, proc.padBefore || 0);
+  const after = Math.max(0, proc.padAfter || 0);
+  if (proc.padMode === "silence") return { ...trimmed, silenceBefore: before, silenceAfter: after, trimmed };
+  const start = Math.max(0, trimmed.start - before);
+  const end = Math.min(ab.duration || ab.length / ab.sampleRate, trimmed.end + after);
+  return { start, end, silenceBefore: 0, silenceAfter: 0, trimmed };
+}
+
+export function padSilence(ab, beforeSec, afterSec) {
+  const pre = Math.round(Math.max(0, beforeSec) * ab.sampleRate);
+  const post = Math.round(Math.max(0, afterSec) * ab.sampleRate);
+  if (!pre && !post) return ab;
+  const channels = channelsOf(ab).map((d) => {
+    const out = new Float32Array(pre + d.length + post);
+    out.set(d, pre);
+    return out;
+  });
+  return makePcmBuffer(channels, ab.sampleRate);
+}
+
+export function measurePeak(ab) {
+  let peak = 0;
+  for (const d of channelsOf(ab)) for (let i = 0; i < d.length; i++) peak = Math.max(peak, Math.abs(d[i]));
+  return peak;
+}
+
+// 전체 채널 RMS (dBFS)
+export function measureRms(ab) {
+  const chans = channelsOf(ab);
+  let sum = 0;
+  for (const d of chans) for (let i = 0; i < d.length; i++) sum += d[i] * d[i];
+  const n = ab.length * chans.length;
+  return n ? 10 * Math.log10(sum / n + 1e-24) : -Infinity;
+}
+
+// ITU-R BS.1770 K-weighting (고역 shelf + 고역통과) 계수 - 샘플레이트별로 계산 (libebur128 과 같은 방식)
+function kWeighting(sr) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sr);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+  K = Math.tan((Math.PI * 38.13547087602444) / sr);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+  return [shelf, highpass];
+}
+
+function biquad(data, { b, a }) {
+  const out = new Float32Array(data.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < data.length; i++) {
+    const x = data[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+// 통합 라우드니스 (LUFS, 400ms 블록 / 75% 겹침 / 절대 -70 + 상대 -10 게이트)
+// 400ms 보다 짧으면 전체를 한 블록으로
+export function measureLufs(ab) {
+  const sr = ab.sampleRate;
+  const filters = kWeighting(sr);
+  const weighted = channelsOf(ab).map((d) => filters.reduce(biquad, d));
+  const block = Math.min(ab.length, Math.round(0.4 * sr));
+  const hop = Math.max(1, Math.round(0.1 * sr));
+  if (!block) return -Infinity;
+
+  const powers = [];
+  for (let off = 0; off + block <= ab.length; off += hop) {
+    let z = 0;
+    for (const d of weighted) {
+      let sum = 0;
+      for (let i = off; i < off + block; i++) sum += d[i] * d[i];
+      z += sum / block;
+    }
+    powers.push(z);
+  }
+  const loudness = (z) => -0.691 + 10 * Math.log10(z + 1e-24);
+  const mean = (arr) => arr.reduce((s, x) => s + x, 0) / arr.length;
+  const abs = powers.filter((z) => loudness(z) > -70);
+  if (!abs.length) return -Infinity;
+  const relGate = loudness(mean(abs)) - 10;
+  const gated = abs.filter((z) => loudness(z) > relGate);
+  return loudness(mean(gated.length ? gated : abs));
+}
+
+// 목표 레벨로 게인 적용 (제자리). 피크가 0 dBFS 를 넘지 않게 게인 상한
+// 반환: 적용한 게인(dB)
+export function normalizeBuffer(ab, mode, targetDb) {
+  if (!mode || mode === "none" || !ab.length) return 0;
+  const peak = measurePeak(ab);
+  if (peak <= 0) return 0;
+  const level = mode === "peak" ? gainToDb(peak) : mode === "rms" ? measureRms(ab) : measureLufs(ab);
+  if (!isFinite(level)) return 0;
+  const gainDb = Math.min(targetDb - level, gainToDb(1 / peak));
+  const g = dbToGain(gainDb);
+  for (const d of channelsOf(ab)) for (let i = 0; i < d.length; i++) d[i] *= g;
+  return gainDb;
+}
+
+// 반 코사인 페이드 인 / 아웃 (제자리). 각각 최대 길이의 절반
+export function applyFades(ab, fadeInMs, fadeOutMs) {
+  const half = Math.floor(ab.length / 2);
+  const fin = Math.min(half, Math.round(((fadeInMs || 0) / 1000) * ab.sampleRate));
+  const fout = Math.min(half, Math.round(((fadeOutMs || 0) / 1000) * ab.sampleRate));
+  const curve = (k, n) => 0.5 - 0.5 * Math.cos((Math.PI * k) / n);
+  for (const d of channelsOf(ab)) {
+    for (let i = 0; i < fin; i++) d[i] *= curve(i, fin);
+    for (let i = 0; i < fout; i++) d[d.length - 1 - i] *= curve(i, fout);
+  }
+  return ab;
+}
@@ -0,0 +1,67 @@
+// 세션 프로젝트 파일 (.wavseg.json) - 파일 목록 / 구간 / 완료 상태 / 설정
+import { relPath } from "./files.js";
+
+export const PROJECT_FORMAT = "wavseg-project";
+export const PROJECT_VERSION = 1;
+
+// entries: [{ file?, path, rows, status }]
+export function buildProject({ entries, settings }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    files: entries.map(({ file, path, rows, status }) => ({
+      path: path || relPath(file),
+      name: file?.name || path.split("/").pop(),
+      size: file?.size ?? null,
+      lastModified: file?.lastModified ?? null,
+      status: status || "untouched",
+      rows: rows || [],
+    })),
+  };
+}
+
+export function parseProject(text) {
+  const data = JSON.parse(text);
+  if (!data || data.format !== PROJECT_FORMAT || !Array.isArray(data.files)) {
+    throw new Error("wavseg 프로젝트 파일이 아닙니다.");
+  }
+  if (data.version > PROJECT_VERSION) {
+    throw new Error(`지원하지 않는 프로젝트 버전입니다 (v${data.version}).`);
+  }
+  data.files = data.files.filter((e) => e && typeof e.path === "string");
+  data.files.forEach((e) => { if (!Array.isArray(e.rows)) e.rows = []; });
+  return data;
+}
+
+// 프로젝트 항목과 불러온 파일을 상대경로로 연결
+// 경로가 다르면 파일명이 하나뿐일 때만 이름으로 연결
+export function matchProject(entries, files) {
+  const byPath = new Map(files.map((f) => [relPath(f), f]));
+  const byName = new Map();
+  files.forEach((f) => byName.set(f.name, byName.has(f.name) ? null : f));
+
+  const used = new Set();
+  const matches = [];
+  const missing = [];
+  entries.forEach((entry) => {
+    let file = byPath.get(entry.path);
+    if (!file || used.has(file)) {
+      const name = entry.name || entry.path.split("/").pop();
+      file = byName.get(name) || null;
+    }
+    if (!file || used.has(file)) {
+      missing.push(entry);
+      return;
+    }
+    used.add(file);
+    // 크기 / 수정시각이 다르면 내용이 바뀌었을 수 있음 (구간은 붙이되 보고)
+    const changed =
+      (entry.size != null && entry.size !== file.size) ||
+      (entry.lastModified != null && entry.lastModified !== file.lastModified);
+    matches.push({ file, entry, changed });
+  });
+  const extra = files.filter((f) => !used.has(f));
+  return { matches, missing, extra };
+}
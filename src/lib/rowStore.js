@@ -0,0 +1,86 @@
+// 파일별 구간(rows) 저장소 - IndexedDB (예전 localStorage "wavseg:rows:" 키는 한 번 옮겨 옴)
+
+const DB_NAME = "wavseg";
+const DB_VERSION = 1;
+const STORE = "rows";
+export const LEGACY_PREFIX = "wavseg:rows:";
+
+// fileKey("경로|크기|수정시각") -> { path, size, lastModified }
+export function splitKey(key) {
+  const parts = key.split("|");
+  const lastModified = Number(parts.pop());
+  const size = Number(parts.pop());
+  return { path: parts.join("|"), size, lastModified };
+}
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("이 브라우저는 IndexedDB 를 지원하지 않습니다."));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "key" });
+        store.createIndex("updatedAt", "updatedAt");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("다른 탭이 저장소를 사용 중입니다."));
+    });
+    dbPromise.catch(() => { dbPromise = null; }); // 다음 호출에서 다시 시도
+  }
+  return dbPromise;
+}
+
+// 트랜잭션 완료(커밋)까지 기다림 - 용량 초과 등은 여기서 reject
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+  const result = fn(tx.objectStore(STORE));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("저장이 취소되었습니다."));
+  });
+  return result instanceof IDBRequest ? result.result : result;
+}
+
+const record = (key, rows) => ({ key, ...splitKey(key), rows, count: rows.length, updatedAt: Date.now() });
+
+export const saveRows = (key, rows) => withStore("readwrite", (s) => s.put(record(key, rows)));
+
+// 반환: [{ key, path, size, lastModified, rows, count, updatedAt }]
+export const listRows = () => withStore("readonly", (s) => s.getAll());
+
+export const deleteRows = (keys) => withStore("readwrite", (s) => keys.forEach((k) => s.delete(k)));
+
+// localStorage 의 예전 키를 옮기고 지움 (옮긴 개수 반환). 옮긴 뒤에는 키가 없으니 다시 돌지 않음
+export async function migrateLegacyRows() {
+  const lsKeys = [];
+  const records = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (!k?.startsWith(LEGACY_PREFIX)) continue;
+    lsKeys.push(k);
+    try {
+      const rows = JSON.parse(localStorage.getItem(k));
+      if (Array.isArray(rows)) records.push(record(k.slice(LEGACY_PREFIX.length), rows));
+    } catch {
+      // 깨진 값은 버림
+    }
+  }
+  if (!lsKeys.length) return 0;
+  await withStore("readwrite", (s) => records.forEach((r) => s.put(r)));
+  lsKeys.forEach((k) => localStorage.removeItem(k));
+  return records.length;
+}
+
+// 시작할 때 한 번: 이전 + 전체 읽기 -> Map(key -> rows)
+export async function loadAllRows() {
+  const migrated = await migrateLegacyRows();
+  const all = await listRows();
+  return { rows: new Map(all.map((r) => [r.key, r.rows])), migrated };
+}
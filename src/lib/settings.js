@@ -0,0 +1,23 @@
+// localStorage 에 저장되는 사용자 설정 (세션 간 유지)
+const SETTINGS_PREFIX = "wavseg:settings:";
+
+// 저장된 값이 없거나 깨졌으면 defaults, 객체면 defaults 위에 덮어쓰기
+export function loadSetting(name, defaults) {
+  try {
+    const s = localStorage.getItem(SETTINGS_PREFIX + name);
+    if (s == null) return defaults;
+    const v = JSON.parse(s);
+    if (defaults && typeof defaults === "object" && !Array.isArray(defaults)) return { ...defaults, ...v };
+    return v;
+  } catch {
+    return defaults;
+  }
+}
+
+export function saveSetting(name, value) {
+  try {
+    localStorage.setItem(SETTINGS_PREFIX + name, JSON.stringify(value));
+  } catch (e) {
+    console.warn("settings save failed", e);
+  }
+}
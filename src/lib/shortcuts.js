@@ -0,0 +1,80 @@
+// 키보드 단축키 정의 / 키 조합 문자열 처리
+
+// id -> { label, keys: 기본 조합 }
+export const SHORTCUT_ACTIONS = [
+  { id: "playPause", label: "재생 / 일시정지", keys: "Space" },
+  { id: "stop", label: "정지", keys: "Shift+Space" },
+  { id: "addRow", label: "구간 추가", keys: "A" },
+  { id: "playRegion", label: "선택 구간 재생", keys: "P" },
+  { id: "toggleLoop", label: "구간 반복 켜기 / 끄기", keys: "L" },
+  { id: "removeRow", label: "선택 구간 삭제", keys: "Delete" },
+  { id: "saveRow", label: "선택 구간 저장", keys: "S" },
+  { id: "saveAll", label: "구간 전부 저장", keys: "Shift+S" },
+  { id: "completeAndNext", label: "작업완료 후 다음 파일", keys: "Ctrl+Enter" },
+  { id: "skipFile", label: "현재 파일 건너뛰기", keys: "Ctrl+Shift+Enter" },
+  { id: "nextFile", label: "다음 파일", keys: "N" },
+  { id: "prevFile", label: "이전 파일", keys: "Shift+N" },
+  { id: "prevRegion", label: "이전 구간 선택", keys: "BracketLeft" },
+  { id: "nextRegion", label: "다음 구간 선택", keys: "BracketRight" },
+  { id: "nudgeLeft", label: "시작점 ← (미세)", keys: "ArrowLeft" },
+  { id: "nudgeRight", label: "시작점 → (미세)", keys: "ArrowRight" },
+  { id: "nudgeLeftCoarse", label: "시작점 ← (크게)", keys: "Shift+ArrowLeft" },
+  { id: "nudgeRightCoarse", label: "시작점 → (크게)", keys: "Shift+ArrowRight" },
+  { id: "zoomIn", label: "확대", keys: "Equal" },
+  { id: "zoomOut", label: "축소", keys: "Minus" },
+  { id: "zoomFit", label: "전체 보기", keys: "0" },
+  { id: "undo", label: "되돌리기", keys: "Ctrl+Z" },
+  { id: "redo", label: "다시 실행", keys: "Ctrl+Shift+Z" },
+  { id: "help", label: "단축키 도움말", keys: "Shift+Slash" },
+];
+
+// 숫자 1~9 는 구간 번호로 바로 이동 (재지정 대상 아님)
+export const REGION_JUMP_KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9"];
+
+export const NUDGE_FINE = 0.01; // 초
+export const NUDGE_COARSE = 0.1;
+
+export const defaultBindings = () =>
+  Object.fromEntries(SHORTCUT_ACTIONS.map((a) => [a.id, a.keys]));
+
+const MODIFIER_CODES = /^(Shift|Control|Alt|Meta)(Left|Right)?$/;
+
+// KeyboardEvent -> "Ctrl+Shift+S" (e.code 기준이라 한글 입력 상태에서도 동일)
+export function eventToCombo(e) {
+  if (!e.code || MODIFIER_CODES.test(e.code)) return "";
+  const key = e.code.replace(/^Key/, "").replace(/^Digit/, "").replace(/^Numpad(\d)$/, "$1");
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push("Ctrl");
+  if (e.altKey) mods.push("Alt");
+  if (e.shiftKey) mods.push("Shift");
+  return [...mods, key].join("+");
+}
+
+const KEY_NAMES = {
+  Space: "Space",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Slash: "/",
+  Equal: "=",
+  Minus: "-",
+  Enter: "Enter",
+  Delete: "Del",
+};
+
+// 화면 표시용 ("Shift+Slash" -> "Shift + /")
+export const comboLabel = (combo) =>
+  (combo || "")
+    .split("+")
+    .map((k) => KEY_NAMES[k] || k)
+    .join(" + ");
+
+// 조합 -> action id (뒤에 정의된 것이 이기지 않도록 첫 번째 매치)
+export function findAction(bindings, combo) {
+  if (!combo) return null;
+  const hit = SHORTCUT_ACTIONS.find((a) => (bindings[a.id] || a.keys) === combo);
+  return hit ? hit.id : null;
+}
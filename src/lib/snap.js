@@ -0,0 +1,95 @@
+// 구간 경계 스냅: 가장 가까운 영교차점 / 온셋(소리 시작점)
+
+export const SNAP_MODES = [
+  ["none", "스냅 없음"],
+  ["zero", "영교차점"],
+  ["onset", "온셋"],
+];
+
+const ZERO_WINDOW = 0.01; // 초 - 이 범위 안에서만 영교차점 탐색
+const ONSET_WINDOW = 0.15;
+const ONSET_HOP = 0.005;
+const ONSET_FRAME = 0.01;
+const ONSET_RISE_DB = 6; // 직전 프레임 대비 이만큼 커지면 온셋 후보
+const ONSET_MIN_DIST = 0.05;
+
+// 버퍼별 분석 결과 캐시
+const monoCache = new WeakMap();
+const onsetCache = new WeakMap();
+
+function mono(ab) {
+  if (monoCache.has(ab)) return monoCache.get(ab);
+  let out = ab.getChannelData(0);
+  if (ab.numberOfChannels > 1) {
+    out = new Float32Array(ab.length);
+    for (let ch = 0; ch < ab.numberOfChannels; ch++) {
+      const d = ab.getChannelData(ch);
+      for (let i = 0; i < out.length; i++) out[i] += d[i] / ab.numberOfChannels;
+    }
+  }
+  monoCache.set(ab, out);
+  return out;
+}
+
+export function nearestZeroCrossing(ab, t, win = ZERO_WINDOW) {
+  const data = mono(ab);
+  const sr = ab.sampleRate;
+  const center = Math.round(t * sr);
+  const maxOff = Math.round(win * sr);
+  for (let off = 0; off <= maxOff; off++) {
+    for (const i of [center - off, center + off]) {
+      if (i < 0 || i + 1 >= data.length) continue;
+      if ((data[i] >= 0) !== (data[i + 1] >= 0)) {
+        // 둘 중 0 에 더 가까운 샘플
+        const k = Math.abs(data[i]) <= Math.abs(data[i + 1]) ? i : i + 1;
+        return k / sr;
+      }
+    }
+  }
+  return t;
+}
+
+// 짧은 프레임 에너지가 급격히 오르는 지점 (초, 오름차순)
+export function detectOnsets(ab) {
+  if (onsetCache.has(ab)) return onsetCache.get(ab);
+  const data = mono(ab);
+  const sr = ab.sampleRate;
+  const hop = Math.max(1, Math.round(ONSET_HOP * sr));
+  const frame = Math.max(1, Math.round(ONSET_FRAME * sr));
+  const db = [];
+  for (let off = 0; off + frame <= data.length; off += hop) {
+    let sum = 0;
+    for (let j = off; j < off + frame; j++) sum += data[j] * data[j];
+    db.push(10 * Math.log10(sum / frame + 1e-12));
+  }
+  const sorted = [...db].sort((a, b) => a - b);
+  const floor = sorted.length ? sorted[Math.floor(sorted.length * 0.1)] : -120;
+
+  const onsets = [];
+  for (let i = 1; i < db.length; i++) {
+    if (db[i] - db[i - 1] < ONSET_RISE_DB || db[i] < floor + ONSET_RISE_DB) continue;
+    const t = (i * hop) / sr;
+    if (onsets.length && t - onsets[onsets.length - 1] < ONSET_MIN_DIST) continue;
+    onsets.push(t);
+  }
+  onsetCache.set(ab, onsets);
+  return onsets;
+}
+
+export function nearestOnset(ab, t, win = ONSET_WINDOW) {
+  let best = t;
+  let bestDist = win;
+  for (const o of detectOnsets(ab)) {
+    const d = Math.abs(o - t);
+    if (d <= bestDist) {
+      best = o;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+export function snapTime(ab, t, mode) {
+  if (!ab || mode === "none" || !mode) return t;
+  return mode === "onset" ? nearestOnset(ab, t) : nearestZeroCrossing(ab, t);
+}
@@ -0,0 +1,119 @@
+// 스펙트로그램 표시 설정
+
+export const DEFAULT_SPECTROGRAM = {
+  enabled: false,
+  fftSamples: 512,
+  colorMap: "roseus",
+  scale: "mel",
+};
+
+export const FFT_SIZES = [256, 512, 1024, 2048];
+export const SPECTRO_SCALES = ["linear", "logarithmic", "mel"];
+export const COLOR_MAP_NAMES = ["roseus", "hot", "gray", "igray"];
+
+// "hot": 검정 -> 빨강 -> 노랑 -> 흰색 (256 단계, 0~1 RGBA)
+const hotMap = () =>
+  Array.from({ length: 256 }, (_, i) => {
+    const x = i / 255;
+    return [Math.min(1, x * 3), Math.min(1, Math.max(0, x * 3 - 1)), Math.min(1, Math.max(0, x * 3 - 2)), 1];
+  });
+
+// wavesurfer spectrogram plugin 의 colorMap 옵션 값으로 변환
+export const resolveColorMap = (name) => (name === "hot" ? hotMap() : name);
+
+// ---------- 주파수 데이터 계산 ----------
+// 파형은 요약 peaks 로 그리므로 플러그인이 직접 계산할 원본 샘플이 없음 -> 디코딩해 둔 버퍼로 여기서 계산해
+// frequenciesDataUrl 옵션으로 넘김. 계산 방식은 wavesurfer spectrogram plugin 과 같음
+// (hann 창, 크기 2/N, 주파수 축 필터뱅크, gainDB / rangeDB 로 0~255)
+
+export const SPECTRO_MAX_COLUMNS = 4000; // 표시 폭에 맞춰 플러그인이 다시 리샘플링
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+const hzToLog = (hz) => Math.log10(Math.max(1, hz));
+const logToHz = (x) => Math.pow(10, x);
+
+// 주파수 축 변환: 칸마다 인접한 두 FFT bin 의 선형 보간 [bin, 가중치]
+function scaleBins(scale, bins, fftSamples, sampleRate) {
+  const conv = scale === "mel" ? [hzToMel, melToHz] : scale === "logarithmic" ? [hzToLog, logToHz] : null;
+  if (!conv) return null;
+  const [toScale, toHz] = conv;
+  const lo = toScale(0);
+  const hi = toScale(sampleRate / 2);
+  const binHz = sampleRate / fftSamples;
+  return Array.from({ length: bins }, (_, i) => {
+    const hz = toHz(lo + (i / bins) * (hi - lo));
+    const bin = Math.floor(hz / binHz);
+    return [bin, (hz - bin * binHz) / binHz];
+  });
+}
+
+// 제자리 radix-2 FFT (re, im 길이 n = 2^k)
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = cr * re[b] - ci * im[b];
+        const ti = cr * im[b] + ci * re[b];
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+// 반환: [열][주파수 칸] (Uint8Array, 0~255) - 첫 채널 기준 (플러그인 기본과 같음)
+export function computeFrequencies(ab, { fftSamples = 512, scale = "mel", gainDB = 20, rangeDB = 80, maxColumns = SPECTRO_MAX_COLUMNS } = {}) {
+  const n = fftSamples;
+  const half = n / 2;
+  const data = ab.getChannelData(0);
+  // hop 은 n/4 이상, 열 수가 maxColumns 를 넘지 않게 (그릴 때 화면 폭에 맞춰 다시 샘플링됨)
+  const hop = Math.max(n / 4, Math.ceil(data.length / maxColumns));
+  const win = Float32Array.from({ length: n }, (_, i) => 0.5 * (1 - Math.cos((2 * Math.PI * i) / (n - 1))));
+  const bank = scaleBins(scale, half, n, ab.sampleRate);
+  const re = new Float32Array(n);
+  const im = new Float32Array(n);
+  const mag = new Float32Array(half);
+  const out = [];
+  // n 보다 짧은 음원도 (0 으로 채워) 최소 한 열
+  for (let off = 0; out.length === 0 || off + n <= data.length; off += hop) {
+    for (let i = 0; i < n; i++) {
+      re[i] = (data[off + i] || 0) * win[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let i = 0; i < half; i++) mag[i] = (2 / n) * Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+    const col = new Uint8Array(half);
+    for (let i = 0; i < half; i++) {
+      let v = mag[i];
+      if (bank) {
+        const [bin, w] = bank[i];
+        v = (bin < half ? mag[bin] * (1 - w) : 0) + (bin + 1 < half ? mag[bin + 1] * w : 0);
+      }
+      const db = 20 * Math.log10(Math.max(v, 1e-12));
+      col[i] = db < -(gainDB + rangeDB) ? 0 : db > -gainDB ? 255 : Math.round(((db + gainDB) / rangeDB) * 255);
+    }
+    out.push(col);
+  }
+  return out;
+}
@@ -0,0 +1,19 @@
+// 파일별 작업 상태 (불러온 목록)
+
+export const FILE_STATUSES = [
+  { id: "untouched", label: "미작업", badge: "bg-slate-200 text-slate-600" },
+  { id: "progress", label: "진행 중", badge: "bg-amber-200 text-amber-800" },
+  { id: "done", label: "완료", badge: "bg-green-200 text-green-800" },
+  { id: "skipped", label: "건너뜀", badge: "bg-slate-400 text-white" },
+];
+
+export const statusInfo = (id) => FILE_STATUSES.find((s) => s.id === id) || FILE_STATUSES[0];
+
+// 예전 프로젝트 파일의 "open" 은 진행 중으로
+export const normalizeStatus = (s) => (s === "open" ? "progress" : statusInfo(s).id);
+
+export function countStatuses(paths, statusMap) {
+  const counts = Object.fromEntries(FILE_STATUSES.map((s) => [s.id, 0]));
+  paths.forEach((p) => { counts[statusMap[p] || "untouched"]++; });
+  return counts;
+}
@@ -0,0 +1,38 @@
+// 라벨 분류 체계 (허용 라벨 목록)
+
+export const DEFAULT_TAXONOMY = {
+  labels: [], // 비어 있으면 제한 없음
+  allowFreeText: false,
+};
+
+// 앞뒤 공백 제거 + 연속 공백 하나로
+export const normalizeLabel = (s) => String(s ?? "").trim().replace(/\s+/g, " ");
+
+const uniq = (arr) => {
+  const seen = new Set();
+  return arr.map(normalizeLabel).filter((x) => x && !seen.has(x) && seen.add(x));
+};
+
+// JSON: ["a","b"] | [{label|name}] | { labels: [...] }
+// CSV/TXT: 한 줄에 하나, 첫 번째 열 사용 (헤더 "label"/"name" 은 건너뜀)
+export function parseTaxonomy(text, fileName = "") {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const looksJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(src);
+  if (looksJson) {
+    const data = JSON.parse(src);
+    const list = Array.isArray(data) ? data : data.labels;
+    if (!Array.isArray(list)) throw new Error("labels 배열을 찾을 수 없습니다.");
+    return uniq(list.map((x) => (typeof x === "string" ? x : x?.label ?? x?.name ?? "")));
+  }
+  const cells = src
+    .split(/\r?\n/)
+    .map((line) => line.split(",")[0].replace(/^"|"$/g, ""))
+    .filter((x) => x.trim());
+  if (cells.length && /^(label|name|라벨)$/i.test(cells[0].trim())) cells.shift();
+  return uniq(cells);
+}
+
+export function isLabelAllowed(label, taxonomy) {
+  if (!taxonomy?.labels?.length || taxonomy.allowFreeText) return true;
+  return taxonomy.labels.includes(normalizeLabel(label));
+}
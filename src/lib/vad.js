@@ -0,0 +1,116 @@
+// 단구간 에너지 + 영교차율(ZCR) 기반 이벤트 검출 -> 구간 후보 제안
+import { channelsOf } from "./wav.js";
+
+export const DEFAULT_VAD = {
+  thresholdDb: 12, // 잡음 바닥 대비 몇 dB 이상이면 이벤트
+  minGap: 0.3, // 이보다 짧은 무음은 하나의 이벤트로 합침 (초)
+};
+
+const FRAME_SEC = 0.02;
+const HOP_SEC = 0.01;
+const MIN_EVENT_SEC = 0.05;
+
+// 프레임별 에너지(dB) / ZCR (채널 평균)
+function analyse(ab) {
+  const sr = ab.sampleRate;
+  const frame = Math.max(1, Math.round(FRAME_SEC * sr));
+  const hop = Math.max(1, Math.round(HOP_SEC * sr));
+  const n = Math.max(0, Math.floor((ab.length - frame) / hop) + 1);
+  const energy = new Float32Array(n);
+  const zcr = new Float32Array(n);
+  const chans = channelsOf(ab);
+
+  for (let i = 0; i < n; i++) {
+    const off = i * hop;
+    let sum = 0;
+    let crossings = 0;
+    for (const data of chans) {
+      let prev = data[off];
+      for (let j = off; j < off + frame; j++) {
+        const x = data[j];
+        sum += x * x;
+        if ((x >= 0) !== (prev >= 0)) crossings++;
+        prev = x;
+      }
+    }
+    energy[i] = 10 * Math.log10(sum / (frame * chans.length) + 1e-12);
+    zcr[i] = crossings / (frame * chans.length);
+  }
+  return { energy, zcr, hop: hop / sr, frame: frame / sr };
+}
+
+const percentile = (arr, p) => {
+  if (!arr.length) return -120;
+  const sorted = Float32Array.from(arr).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// 반환: [{ start, end, peakDb }] (초, 시간순)
+export function detectEvents(ab, { thresholdDb = DEFAULT_VAD.thresholdDb, minGap = DEFAULT_VAD.minGap } = {}) {
+  const { energy, zcr, hop, frame } = analyse(ab);
+  if (!energy.length) return [];
+  const floor = percentile(energy, 0.1);
+  const loud = floor + thresholdDb;
+  const soft = floor + thresholdDb / 2;
+  const zcrHigh = percentile(zcr, 0.9);
+
+  // 충분히 크거나, 조금 크면서 ZCR 이 높은(마찰음/쉿 소리) 프레임을 활성으로
+  const events = [];
+  let cur = null;
+  for (let i = 0; i < energy.length; i++) {
+    const active = energy[i] >= loud || (energy[i] >= soft && zcr[i] >= zcrHigh);
+    const t = i * hop;
+    if (active) {
+      if (cur && t - cur.end <= minGap) {
+        cur.end = t + frame;
+        cur.peakDb = Math.max(cur.peakDb, energy[i]);
+      } else {
+        cur = { start: t, end: t + frame, peakDb: energy[i] };
+        events.push(cur);
+      }
+    }
+  }
+  return events.filter((e) => e.end - e.start >= MIN_EVENT_SEC);
+}
+
+const overlaps = (a, b) => a.start < b.end - 1e-6 && b.start < a.end - 1e-6;
+
+// 겹치지 않게 놓을 시작 위치: 원래 자리, 안 되면 이미 놓은 구간 바로 앞 / 뒤 중 가장 가까운 곳
+// 이벤트를 전혀 덮지 못하거나 자리가 없으면 null
+function fitStart(placed, start, len, duration, e) {
+  const candidates = [start, ...placed.flatMap((p) => [p.end, p.start - len])]
+    .filter((s) => s >= 0 && s + len <= duration + 1e-6)
+    .filter((s) => s < e.end && s + len > e.start)
+    .filter((s) => !placed.some((p) => overlaps(p, { start: s, end: s + len })));
+  if (!candidates.length) return null;
+  return candidates.reduce((best, s) => (Math.abs(s - start) < Math.abs(best - start) ? s : best));
+}
+
+// 이벤트 -> 구간 후보 (가장 큰 이벤트부터 maxCount 개, 길이는 [minLen, maxLen])
+// minLen 보다 가까운 이벤트는 하나로 합치고 (maxLen 안에서), 후보끼리는 겹치지 않게 밀거나 버림
+export function proposeSegments(events, { duration, minLen, maxLen, maxCount }) {
+  const merged = [];
+  [...events]
+    .sort((a, b) => a.start - b.start)
+    .forEach((e) => {
+      const last = merged[merged.length - 1];
+      if (last && e.start - last.end < minLen && Math.max(last.end, e.end) - last.start <= maxLen) {
+        last.end = Math.max(last.end, e.end);
+        last.peakDb = Math.max(last.peakDb, e.peakDb);
+      } else {
+        merged.push({ ...e });
+      }
+    });
+
+  const placed = [];
+  for (const e of merged.sort((a, b) => b.peakDb - a.peakDb)) {
+    if (placed.length >= maxCount) break;
+    const len = Math.round(Math.min(maxLen, Math.max(minLen, e.end - e.start), duration) * 100) / 100;
+    if (!(len > 0)) continue;
+    const center = (e.start + e.end) / 2;
+    const start = fitStart(placed, Math.max(0, Math.min(center - len / 2, duration - len)), len, duration, e);
+    if (start == null) continue;
+    placed.push({ start, end: start + len, maxLen: len });
+  }
+  return placed.sort((a, b) => a.start - b.start);
+}
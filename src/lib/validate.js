@@ -0,0 +1,45 @@
+// 저장 전 구간 검사: 빈 라벨 / 라벨 목록 외 / 중복 / 겹침 / 범위 밖 / 길이 / 개수 제한
+import { isLabelAllowed } from "./taxonomy.js";
+import { labelName, segmentEnd } from "./files.js";
+
+const EPS = 1e-3;
+
+// 파일명에 쓰이는 형태로 비교
+const outputLabel = labelName;
+
+// 반환: [{ rowId, index, type, message, blocking }]
+// blocking 인 항목(라벨 목록 위반)은 무시하고 저장할 수 없음
+export function validateRows(rows, { duration, taxonomy, constraints } = {}) {
+  const issues = [];
+  const add = (r, index, type, message, blocking = false) =>
+    issues.push({ rowId: r.id, index, type, message, blocking });
+
+  rows.forEach((r, i) => {
+    const end = segmentEnd(r);
+    const label = (r.label || "").trim();
+    if (!label) add(r, i, "empty", "라벨이 비어 있습니다 (파일명이 seg 로 저장됨).");
+    else if (taxonomy && !isLabelAllowed(label, taxonomy)) add(r, i, "taxonomy", `라벨 목록에 없는 라벨입니다: "${label}"`, true);
+
+    const dup = rows.findIndex((o, j) => j !== i && outputLabel(o) === outputLabel(r));
+    if (dup >= 0) add(r, i, "duplicate", `${dup + 1}번 구간과 라벨이 같아 같은 파일명으로 덮어쓰게 됩니다.`);
+
+    rows.forEach((o, j) => {
+      if (j === i) return;
+      if (r.start < segmentEnd(o) - EPS && o.start < end - EPS) add(r, i, "overlap", `${j + 1}번 구간과 겹칩니다.`);
+    });
+
+    if (r.start < 0 || (duration && end > duration + EPS)) {
+      add(r, i, "range", "음원 길이를 벗어났습니다.");
+    } else if (r.end < r.start + r.maxLen - EPS) {
+      add(r, i, "clipped", `음원 끝에서 잘려 ${(end - r.start).toFixed(2)}초만 저장됩니다 (설정 ${r.maxLen}초).`);
+    }
+
+    if (constraints) {
+      const len = end - r.start;
+      if (len < constraints.minLen - EPS) add(r, i, "length", `길이 ${len.toFixed(2)}초가 최소 ${constraints.minLen}초보다 짧습니다.`);
+      if (len > constraints.maxLen + EPS) add(r, i, "length", `길이 ${len.toFixed(2)}초가 최대 ${constraints.maxLen}초보다 깁니다.`);
+      if (i >= constraints.maxRegions) add(r, i, "count", `구간 수 제한(${constraints.maxRegions}개)을 넘었습니다.`);
+    }
+  });
+  return issues;
+}
@@ -0,0 +1,193 @@
+// WAV 인코딩 / 잘라내기 / 헤더 읽기
+
+// AudioBuffer 대용 (Node CLI / worker 에서도 쓸 수 있게 DOM 의존 없음)
+export function makePcmBuffer(channels, sampleRate) {
+  return {
+    sampleRate,
+    numberOfChannels: channels.length,
+    length: channels.length ? channels[0].length : 0,
+    duration: channels.length && sampleRate ? channels[0].length / sampleRate : 0,
+    getChannelData: (ch) => channels[ch],
+  };
+}
+
+// AudioBuffer / makePcmBuffer -> 채널별 Float32Array 배열 (복사 없음)
+export function channelsOf(ab) {
+  const out = [];
+  for (let ch = 0; ch < ab.numberOfChannels; ch++) out.push(ab.getChannelData(ch));
+  return out;
+}
+
+// bitDepth: 16 | 24 | "32f"
+const sampleBytes = (bitDepth) => (bitDepth === 24 ? 3 : bitDepth === "32f" ? 4 : 2);
+
+// WAV encoder (PCM16 / PCM24 / IEEE float32) -> Uint8Array
+// chunks: fmt 과 data 사이에 넣을 완성된 chunk 들 (LIST/INFO, bext, cue 등 - wavMeta.js)
+export function encodeWav(ab, { bitDepth = 16, chunks = [] } = {}) {
+  const numChannels = ab.numberOfChannels;
+  const sampleRate = ab.sampleRate;
+  const numFrames = ab.length;
+  const isFloat = bitDepth === "32f";
+  const bytes = sampleBytes(bitDepth);
+  const dataSize = numFrames * numChannels * bytes;
+
+  // float 은 fmt 확장(cbSize) + fact chunk 필요
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const extraSize = chunks.reduce((n, c) => n + c.length, 0);
+  const headerSize = 12 + 8 + fmtSize + factSize + extraSize + 8;
+
+  const buffer = new ArrayBuffer(headerSize + dataSize + (dataSize & 1));
+  const view = new DataView(buffer);
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+  };
+
+  // RIFF header
+  writeString(0, "RIFF");
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeString(8, "WAVE");
+
+  // fmt chunk
+  let o = 12;
+  writeString(o, "fmt ");
+  view.setUint32(o + 4, fmtSize, true);
+  view.setUint16(o + 8, isFloat ? 3 : 1, true); // 1 = PCM, 3 = IEEE float
+  view.setUint16(o + 10, numChannels, true);
+  view.setUint32(o + 12, sampleRate, true);
+  view.setUint32(o + 16, sampleRate * numChannels * bytes, true); // byte rate
+  view.setUint16(o + 20, numChannels * bytes, true); // block align
+  view.setUint16(o + 22, bytes * 8, true); // bits per sample
+  if (isFloat) view.setUint16(o + 24, 0, true); // cbSize
+  o += 8 + fmtSize;
+
+  if (isFloat) {
+    writeString(o, "fact");
+    view.setUint32(o + 4, 4, true);
+    view.setUint32(o + 8, numFrames, true);
+    o += factSize;
+  }
+
+  for (const c of chunks) {
+    new Uint8Array(buffer, o, c.length).set(c);
+    o += c.length;
+  }
+
+  // data
+  writeString(o, "data");
+  view.setUint32(o + 4, dataSize, true);
+  o += 8;
+
+  const chans = channelsOf(ab);
+  for (let i = 0; i < numFrames; i++) {
+    for (let ch = 0; ch < numChannels; ch++, o += bytes) {
+      const x = chans[ch][i];
+      if (isFloat) {
+        view.setFloat32(o, x, true);
+        continue;
+      }
+      const s = Math.max(-1, Math.min(1, x));
+      if (bytes === 2) {
+        view.setInt16(o, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      } else {
+        const v = Math.round(s < 0 ? s * 0x800000 : s * 0x7fffff);
+        view.setUint8(o, v & 0xff);
+        view.setUint8(o + 1, (v >> 8) & 0xff);
+        view.setUint8(o + 2, (v >> 16) & 0xff);
+      }
+    }
+  }
+
+  return new Uint8Array(buffer);
+}
+
+// [startSec, endSec) 구간을 잘라 새 버퍼로 (원본 샘플레이트 그대로)
+export function sliceBuffer(ab, startSec, endSec) {
+  const start = Math.max(0, Math.floor(startSec * ab.sampleRate));
+  const end = Math.min(Math.floor(endSec * ab.sampleRate), ab.length);
+  const frames = Math.max(0, end - start);
+  const channels = [];
+  for (let ch = 0; ch < ab.numberOfChannels; ch++) {
+    channels.push(ab.getChannelData(ch).slice(start, start + frames));
+  }
+  return makePcmBuffer(channels, ab.sampleRate);
+}
+
+// RIFF/WAVE 헤더에서 fmt 정보와 data 위치 읽기. view 는 파일 앞부분만이어도 됨
+// 반환: { format, channels, sampleRate, blockAlign, bitsPerSample, dataOffset?, frames?, duration? } (WAV 가 아니면 null)
+export function parseWavHeader(view, fileSize = view.byteLength) {
+  const tag = (o) => String.fromCharCode(view.getUint8(o), view.getUint8(o + 1), view.getUint8(o + 2), view.getUint8(o + 3));
+  if (view.byteLength < 12 || tag(0) !== "RIFF" || tag(8) !== "WAVE") return null;
+
+  let info = null;
+  let o = 12;
+  while (o + 8 <= view.byteLength) {
+    const id = tag(o);
+    const size = view.getUint32(o + 4, true);
+    if (id === "fmt ") {
+      info = {
+        format: view.getUint16(o + 8, true),
+        channels: view.getUint16(o + 10, true),
+        sampleRate: view.getUint32(o + 12, true),
+        blockAlign: view.getUint16(o + 20, true),
+        bitsPerSample: view.getUint16(o + 22, true),
+      };
+      // WAVE_FORMAT_EXTENSIBLE 이면 SubFormat GUID 앞 2바이트가 실제 포맷
+      if (info.format === 0xfffe && size >= 40 && o + 34 <= view.byteLength) info.format = view.getUint16(o + 32, true);
+    } else if (id === "data" && info) {
+      // data 크기가 0 / 0xFFFFFFFF(스트리밍)면 파일 크기로 추정
+      const bytes = size && size !== 0xffffffff ? Math.min(size, fileSize - (o + 8)) : fileSize - (o + 8);
+      info.dataOffset = o + 8;
+      info.frames = info.blockAlign ? Math.floor(bytes / info.blockAlign) : 0;
+      info.duration = info.sampleRate ? info.frames / info.sampleRate : 0;
+      return info;
+    }
+    o += 8 + size + (size & 1);
+  }
+  return info;
+}
+
+// WAV 헤더만 읽어서 원본 포맷 정보 반환 (디코딩 없이). WAV가 아니면 null
+export async function readWavInfo(file) {
+  try {
+    return parseWavHeader(new DataView(await file.slice(0, 65536).arrayBuffer()), file.size);
+  } catch {
+    return null;
+  }
+}
+
+// 디코딩한 버퍼 -> readWavInfo 와 같은 모양의 정보 (헤더가 없는 형식용)
+export const bufferInfo = (ab) => ({
+  sampleRate: ab.sampleRate,
+  channels: ab.numberOfChannels,
+  frames: ab.length,
+  duration: ab.length / ab.sampleRate,
+});
+
+// PCM(8/16/24/32) / float(32/64) WAV 를 순수 JS 로 디코딩 -> makePcmBuffer
+// 정수 -> float 변환은 브라우저 decodeAudioData 와 같은 방식 (v / 2^(bits-1))
+export function decodeWav(bytes) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const info = parseWavHeader(view);
+  if (!info) throw new Error("WAV 파일이 아닙니다.");
+  if (info.dataOffset == null) throw new Error("data chunk 가 없습니다.");
+  const { format, channels, bitsPerSample: bits, blockAlign, frames, dataOffset } = info;
+  const isFloat = format === 3;
+  if (!channels || !(format === 1 || isFloat) || (isFloat ? bits !== 32 && bits !== 64 : ![8, 16, 24, 32].includes(bits))) {
+    throw new Error(`지원하지 않는 WAV 형식입니다 (format ${format}, ${bits}-bit).`);
+  }
+  const bytesPer = bits / 8;
+  const read = isFloat
+    ? bits === 32 ? (o) => view.getFloat32(o, true) : (o) => view.getFloat64(o, true)
+    : bits === 8 ? (o) => (view.getUint8(o) - 128) / 128
+    : bits === 16 ? (o) => view.getInt16(o, true) / 0x8000
+    : bits === 24 ? (o) => (((view.getUint8(o + 2) << 24) | (view.getUint8(o + 1) << 16) | (view.getUint8(o) << 8)) >> 8) / 0x800000
+    : (o) => view.getInt32(o, true) / 0x80000000;
+  const out = [];
+  for (let ch = 0; ch < channels; ch++) out.push(new Float32Array(frames));
+  for (let i = 0, o = dataOffset; i < frames; i++, o += blockAlign) {
+    for (let ch = 0; ch < channels; ch++) out[ch][i] = read(o + ch * bytesPer);
+  }
+  return makePcmBuffer(out, info.sampleRate);
+}
@@ -0,0 +1,122 @@
+// WAV 메타데이터 chunk: LIST/INFO, BWF bext, cue + LIST/adtl(구간 표시)
+// encodeWav 의 chunks 옵션으로 넘김 (순수 JS, Node CLI 에서도 사용)
+
+export const TOOL_NAME = "wavseg";
+
+const utf8 = (s) => new TextEncoder().encode(String(s ?? ""));
+
+// 고정 길이 필드: UTF-8 로 자르고 남는 자리는 0
+const fixed = (s, len) => {
+  const out = new Uint8Array(len);
+  out.set(utf8(s).subarray(0, len));
+  return out;
+};
+
+const ascii = (s) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+
+// id(4) + size + body (+ 홀수면 패딩 1바이트)
+export function riffChunk(id, body) {
+  const out = new Uint8Array(8 + body.length + (body.length & 1));
+  out.set(ascii(id));
+  new DataView(out.buffer).setUint32(4, body.length, true);
+  out.set(body, 8);
+  return out;
+}
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) {
+    out.set(p, o);
+    o += p.length;
+  }
+  return out;
+};
+
+// 문자열 (0 종료) 하위 chunk
+const zstr = (id, text) => riffChunk(id, concat([utf8(text), new Uint8Array(1)]));
+
+// fields: { INAM: "...", ISRC: "...", ... } (빈 값은 생략)
+export function infoChunk(fields) {
+  const subs = Object.entries(fields).filter(([, v]) => v != null && v !== "").map(([id, v]) => zstr(id, v));
+  return subs.length ? riffChunk("LIST", concat([ascii("INFO"), ...subs])) : null;
+}
+
+// BWF bext (version 1, UMID / 라우드니스 필드는 0)
+// timeReference: 원본 기준 시작 위치(출력 샘플레이트의 샘플 수)
+export function bextChunk({ description, originator, originatorReference, date, timeReference = 0, codingHistory = "" }) {
+  const d = date || new Date();
+  const p2 = (n) => String(n).padStart(2, "0");
+  const head = new Uint8Array(602);
+  const view = new DataView(head.buffer);
+  head.set(fixed(description, 256), 0);
+  head.set(fixed(originator, 32), 256);
+  head.set(fixed(originatorReference, 32), 288);
+  head.set(fixed(`${d.getFullYear()}-${p2(d.getMonth() + 1)}-${p2(d.getDate())}`, 10), 320);
+  head.set(fixed(`${p2(d.getHours())}:${p2(d.getMinutes())}:${p2(d.getSeconds())}`, 8), 330);
+  const ref = Math.max(0, Math.round(timeReference));
+  view.setUint32(338, ref % 0x100000000, true);
+  view.setUint32(342, Math.floor(ref / 0x100000000), true);
+  view.setUint16(346, 1, true); // version
+  return riffChunk("bext", concat([head, utf8(codingHistory)]));
+}
+
+// markers: [{ position, length, label }] (샘플 단위) -> [cue, LIST/adtl]
+// length > 0 이면 ltxt "rgn " 으로 구간 길이까지 기록 (Audition / Wavelab / Reaper 등에서 구간으로 보임)
+export function cueChunks(markers) {
+  if (!markers.length) return [];
+  const cue = new Uint8Array(4 + 24 * markers.length);
+  const view = new DataView(cue.buffer);
+  view.setUint32(0, markers.length, true);
+  const adtl = [ascii("adtl")];
+  markers.forEach((m, i) => {
+    const id = i + 1;
+    const o = 4 + 24 * i;
+    view.setUint32(o, id, true);
+    view.setUint32(o + 4, m.position, true);
+    cue.set(ascii("data"), o + 8);
+    // chunkStart / blockStart = 0
+    view.setUint32(o + 20, m.position, true); // sampleOffset
+
+    const idBytes = new Uint8Array(4);
+    new DataView(idBytes.buffer).setUint32(0, id, true);
+    adtl.push(riffChunk("labl", concat([idBytes, utf8(m.label), new Uint8Array(1)])));
+    if (m.length > 0) {
+      const ltxt = new Uint8Array(20);
+      const lv = new DataView(ltxt.buffer);
+      lv.setUint32(0, id, true);
+      lv.setUint32(4, m.length, true);
+      ltxt.set(ascii("rgn "), 8);
+      // country / language / dialect / codepage = 0
+      adtl.push(riffChunk("ltxt", ltxt));
+    }
+  });
+  return [riffChunk("cue ", cue), riffChunk("LIST", concat(adtl))];
+}
+
+const sec = (x) => (Math.round(x * 1e6) / 1e6).toFixed(6);
+
+// 잘라낸 구간의 출처 메타데이터 chunk 목록
+// meta: { label, source, start, end, tool, exportedAt }, fmt: { info, bext, bitDepth }
+export function provenanceChunks(meta, fmt, out) {
+  const at = meta.exportedAt || new Date();
+  const origin = `source=${meta.source}; start=${sec(meta.start)}; end=${sec(meta.end)}`;
+  const chunks = [];
+  if (fmt.bext) {
+    const channels = out.numberOfChannels === 1 ? "mono" : out.numberOfChannels === 2 ? "stereo" : "multichannel";
+    chunks.push(
+      bextChunk({
+        description: meta.label,
+        originator: TOOL_NAME,
+        originatorReference: meta.source.split("/").pop(),
+        date: at,
+        timeReference: meta.start * out.sampleRate,
+        codingHistory: `A=${fmt.bitDepth === "32f" ? "PCM_FLOAT" : "PCM"},F=${out.sampleRate},W=${fmt.bitDepth === "32f" ? 32 : fmt.bitDepth},M=${channels},T=${meta.tool}; ${origin}\r\n`,
+      })
+    );
+  }
+  if (fmt.info) {
+    chunks.push(infoChunk({ INAM: meta.label, ISRC: meta.source, ICMT: origin, ISFT: meta.tool, ICRD: at.toISOString() }));
+  }
+  return chunks.filter(Boolean);
+}
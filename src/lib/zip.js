@@ -0,0 +1,152 @@
+// 무압축(store) ZIP 작성기 - 서버 없이 브라우저에서 바로 묶기
+// WAV는 압축 이득이 거의 없어서 deflate 없이 저장만 한다.
+// Blob 항목은 조각씩 읽어 CRC 만 계산하고 결과 Blob 에 그대로 이어 붙임 (전체를 JS 메모리에 올리지 않음)
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+// crc: 앞 조각까지의 값 (이어서 계산)
+export function crc32(bytes, crc = 0) {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+const dosDateTime = (d) => ({
+  time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+  date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+});
+
+const CRC_CHUNK = 4 << 20;
+
+// 항목 내용 -> { part: 결과 Blob 에 넣을 조각, size, crc }
+const content = async (data) => {
+  if (typeof data === "string") data = new TextEncoder().encode(data);
+  else if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+  if (data instanceof Uint8Array) return { part: data, size: data.length, crc: crc32(data) };
+  let crc = 0;
+  for (let o = 0; o < data.size; o += CRC_CHUNK) crc = crc32(new Uint8Array(await data.slice(o, o + CRC_CHUNK).arrayBuffer()), crc);
+  return { part: data, size: data.size, crc };
+};
+
+// 같은 경로가 두 번 들어오면 "이름 (2).wav" 식으로 바꿔서 덮어쓰기 방지
+export const uniquePath = (path, used) => {
+  if (!used.has(path)) return path;
+  const dot = path.lastIndexOf(".");
+  const stem = dot > path.lastIndexOf("/") ? path.slice(0, dot) : path;
+  const ext = stem === path ? "" : path.slice(dot);
+  let n = 2;
+  while (used.has(`${stem} (${n})${ext}`)) n++;
+  return `${stem} (${n})${ext}`;
+};
+
+// 4GB / 65535개를 넘으면 ZIP64 (크기 / 위치는 extra field, 끝에 ZIP64 end record)
+const MAX32 = 0xffffffff;
+const MAX16 = 0xffff;
+
+// 64비트 정수 (Number, 2^53 까지)
+const setUint64 = (view, pos, n) => {
+  view.setUint32(pos, n % 0x100000000, true);
+  view.setUint32(pos + 4, Math.floor(n / 0x100000000), true);
+};
+
+// ZIP64 extra field (0x0001): 값들을 순서대로 8바이트씩
+const zip64Extra = (values) => {
+  const view = new DataView(new ArrayBuffer(4 + 8 * values.length));
+  view.setUint16(0, 0x0001, true);
+  view.setUint16(2, 8 * values.length, true);
+  values.forEach((v, i) => setUint64(view, 4 + 8 * i, v));
+  return new Uint8Array(view.buffer);
+};
+
+// entries: [{ path, data: Blob | Uint8Array | ArrayBuffer | string }]
+// onProgress(n): 항목 n 개를 처리할 때마다
+export async function createZip(entries, onProgress) {
+  const enc = new TextEncoder();
+  const { time, date } = dosDateTime(new Date());
+  const used = new Set();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [i, e] of entries.entries()) {
+    const path = uniquePath(e.path.replace(/^\/+/, ""), used);
+    used.add(path);
+    const name = enc.encode(path);
+    const { part, size, crc } = await content(e.data);
+    const bigSize = size >= MAX32;
+    const bigOffset = offset >= MAX32;
+    const version = bigSize || bigOffset ? 45 : 20;
+
+    const localExtra = bigSize ? zip64Extra([size, size]) : new Uint8Array(0);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, version, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 파일명
+    local.setUint16(8, 0, true); // store
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bigSize ? MAX32 : size, true);
+    local.setUint32(22, bigSize ? MAX32 : size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, localExtra.length, true);
+    parts.push(local, name, localExtra, part);
+
+    const cdExtra = bigSize || bigOffset ? zip64Extra([...(bigSize ? [size, size] : []), ...(bigOffset ? [offset] : [])]) : new Uint8Array(0);
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint16(4, version, true); // version made by
+    cd.setUint16(6, version, true);
+    cd.setUint16(8, 0x0800, true);
+    cd.setUint16(10, 0, true);
+    cd.setUint16(12, time, true);
+    cd.setUint16(14, date, true);
+    cd.setUint32(16, crc, true);
+    cd.setUint32(20, bigSize ? MAX32 : size, true);
+    cd.setUint32(24, bigSize ? MAX32 : size, true);
+    cd.setUint16(28, name.length, true);
+    cd.setUint16(30, cdExtra.length, true);
+    cd.setUint32(42, bigOffset ? MAX32 : offset, true);
+    central.push(cd, name, cdExtra);
+
+    offset += 30 + name.length + localExtra.length + size;
+    onProgress?.(i + 1);
+  }
+
+  const cdSize = central.reduce((n, p) => n + p.byteLength, 0);
+  const count = entries.length;
+  const tail = [];
+  const big = count >= MAX16 || cdSize >= MAX32 || offset >= MAX32;
+  if (big) {
+    const rec = new DataView(new ArrayBuffer(56));
+    rec.setUint32(0, 0x06064b50, true);
+    setUint64(rec, 4, 44); // 이 뒤의 record 크기
+    rec.setUint16(12, 45, true);
+    rec.setUint16(14, 45, true);
+    setUint64(rec, 24, count);
+    setUint64(rec, 32, count);
+    setUint64(rec, 40, cdSize);
+    setUint64(rec, 48, offset);
+    const locator = new DataView(new ArrayBuffer(20));
+    locator.setUint32(0, 0x07064b50, true);
+    setUint64(locator, 8, offset + cdSize); // ZIP64 end record 위치
+    locator.setUint32(16, 1, true); // 디스크 수
+    tail.push(rec, locator);
+  }
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Math.min(count, MAX16), true);
+  end.setUint16(10, Math.min(count, MAX16), true);
+  end.setUint32(12, Math.min(cdSize, MAX32), true);
+  end.setUint32(16, Math.min(offset, MAX32), true);
+
+  return new Blob([...parts, ...central, ...tail, end], { type: "application/zip" });
+}